@@ -0,0 +1,235 @@
+/**
+ * Manager (entry) squad
+ *
+ * Fetches a manager's picks from FPL and joins them to our own data:
+ * - players / teams tables for names and clubs
+ * - player_gameweek_stats for recent form
+ * - the FDR ticker (lib/fdr-ticker.js) for upcoming fixture difficulty
+ * - player_projections (lib/projections.js) for expected points, falling back
+ *   to FPL's ep_next for players without a projection
+ * - bootstrap-static for price and availability
+ *
+ * Picks 1-11 are the starting XI; 12-15 are the bench in substitution order
+ * (bench_order 1 is the backup goalkeeper). The Assistant Manager chip's pick
+ * (16) isn't a player and is left out.
+ */
+
+import fpl from './fpl-client.js';
+import { resolveGameweekWindow, buildFixtureTicker } from './fdr-ticker.js';
+import { getModelRatings } from './fdr-models.js';
+import { getStoredProjections } from './projections.js';
+import { MANAGER } from './team-scoring.js';
+
+export const POSITIONS = { 1: 'GKP', 2: 'DEF', 3: 'MID', 4: 'FWD' };
+
+export const FORM_WINDOW = 5;
+export const DEFAULT_SQUAD_HORIZON = 5;
+
+const STARTING_XI = 11;
+const SQUAD_SIZE = 15;
+
+/**
+ * Last finished gameweek (null before GW1 finishes)
+ */
+async function getLastFinishedGameweek(supabase) {
+  const { data, error } = await supabase
+    .from('gameweeks')
+    .select('id')
+    .eq('finished', true)
+    .order('id', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to fetch gameweeks: ${error.message}`);
+  }
+
+  return data?.[0]?.id ?? null;
+}
+
+/**
+ * Points, minutes and xGI over the last FORM_WINDOW finished gameweeks
+ *
+ * @returns {Promise<Object>} { [playerId]: { from_gameweek, to_gameweek, points, average_points, minutes, expected_goal_involvements } }
+ */
+export async function getRecentForm(supabase, playerIds, { window = FORM_WINDOW } = {}) {
+  const lastFinished = await getLastFinishedGameweek(supabase);
+  if (!lastFinished || playerIds.length === 0) return {};
+
+  const fromGW = Math.max(1, lastFinished - window + 1);
+
+  const { data, error } = await supabase
+    .from('player_gameweek_stats')
+    .select('player_id, gameweek_id, total_points, minutes, expected_goal_involvements')
+    .in('player_id', playerIds)
+    .gte('gameweek_id', fromGW)
+    .lte('gameweek_id', lastFinished);
+
+  if (error) {
+    throw new Error(`Failed to fetch recent form: ${error.message}`);
+  }
+
+  const form = {};
+  data.forEach(row => {
+    const entry = form[row.player_id] || (form[row.player_id] = {
+      from_gameweek: fromGW,
+      to_gameweek: lastFinished,
+      points: 0,
+      minutes: 0,
+      expected_goal_involvements: 0
+    });
+    entry.points += row.total_points || 0;
+    entry.minutes += row.minutes || 0;
+    entry.expected_goal_involvements += parseFloat(row.expected_goal_involvements || 0);
+  });
+
+  const gameweekCount = lastFinished - fromGW + 1;
+  Object.values(form).forEach(entry => {
+    entry.average_points = parseFloat((entry.points / gameweekCount).toFixed(2));
+    entry.expected_goal_involvements = parseFloat(entry.expected_goal_involvements.toFixed(2));
+  });
+
+  return form;
+}
+
+/**
+ * Expected points for the next gameweek: our projection when there is one,
+ * otherwise FPL's ep_next from bootstrap-static
+ *
+ * @param {Object} element - bootstrap-static element
+ * @param {Object} projection - Entry from getStoredProjections (optional)
+ * @param {number} gameweek - Gameweek the projection is for
+ */
+export function expectedPointsFor(element, projection, gameweek) {
+  if (projection) {
+    return {
+      expected_points: projection.gameweeks[gameweek]?.expected_points ?? 0,
+      expected_points_source: 'projection'
+    };
+  }
+
+  return {
+    expected_points: element ? parseFloat(element.ep_next || 0) : null,
+    expected_points_source: 'fpl_ep_next'
+  };
+}
+
+/**
+ * Build a manager's squad for a gameweek
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number} options.entryId - FPL entry (manager team) ID
+ * @param {number} options.gameweek - Gameweek of the picks (default: the entry's current gameweek)
+ * @param {number} options.horizon - Upcoming gameweeks of fixtures per player (default: 5)
+ * @param {string} options.model - FDR weighting model for fixture difficulty (default: 'balanced')
+ */
+export async function getEntrySquad(supabase, { entryId, gameweek, horizon = DEFAULT_SQUAD_HORIZON, model }) {
+  const [entry, bootstrap] = await Promise.all([
+    fpl.getEntry(entryId),
+    fpl.getBootstrapStatic()
+  ]);
+
+  const gw = gameweek ?? entry.current_event;
+  if (!gw) {
+    throw new Error('Entry has no picks yet (season not started or team created after the last deadline)');
+  }
+
+  const picks = await fpl.getEntryPicks(entryId, gw);
+  const squadPicks = picks.picks.filter(pick => pick.element_type !== MANAGER && pick.position <= SQUAD_SIZE);
+  const playerIds = squadPicks.map(pick => pick.element);
+
+  const { data: players, error: playersError } = await supabase
+    .from('players')
+    .select('id, web_name, first_name, second_name, element_type, team_id, teams!inner(id, short_name, name)')
+    .in('id', playerIds);
+
+  if (playersError) {
+    throw new Error(`Failed to fetch players: ${playersError.message}`);
+  }
+
+  const window = await resolveGameweekWindow(supabase, { horizon });
+  const ratings = await getModelRatings(supabase, model);
+  const [ticker, form, projections] = await Promise.all([
+    buildFixtureTicker(supabase, { from: window.from, to: window.to, ratings }),
+    getRecentForm(supabase, playerIds),
+    getStoredProjections(supabase, { from: window.from, to: window.from, playerIds })
+  ]);
+
+  const elementsById = new Map(bootstrap.elements.map(element => [element.id, element]));
+  const playersById = new Map(players.map(player => [player.id, player]));
+  const tickerByTeam = new Map(ticker.map(team => [team.id, team]));
+
+  const squad = squadPicks.map(pick => {
+    const element = elementsById.get(pick.element);
+    const player = playersById.get(pick.element);
+    const teamId = player?.team_id ?? element?.team;
+    const teamTicker = tickerByTeam.get(teamId);
+    const isStarter = pick.position <= STARTING_XI;
+
+    return {
+      id: pick.element,
+      web_name: player?.web_name ?? element?.web_name,
+      position: POSITIONS[player?.element_type ?? element?.element_type],
+      element_type: player?.element_type ?? element?.element_type,
+      team_id: teamId,
+      team_name: player?.teams?.name,
+      team_short_name: player?.teams?.short_name,
+      squad_position: pick.position,
+      is_starter: isStarter,
+      bench_order: isStarter ? null : pick.position - STARTING_XI,
+      is_captain: pick.is_captain,
+      is_vice_captain: pick.is_vice_captain,
+      multiplier: pick.multiplier,
+      now_cost: element ? element.now_cost / 10 : null,
+      status: element?.status ?? null,
+      news: element?.news || null,
+      chance_of_playing_next_round: element?.chance_of_playing_next_round ?? null,
+      ...expectedPointsFor(element, projections.get(pick.element), window.from),
+      form: form[pick.element] || null,
+      fixture_difficulty: teamTicker ? {
+        average: teamTicker.average_difficulty,
+        fpl_average: teamTicker.fpl_average_difficulty,
+        blank_gameweeks: teamTicker.blank_gameweeks,
+        double_gameweeks: teamTicker.double_gameweeks
+      } : null,
+      fixtures: teamTicker?.gameweeks || []
+    };
+  });
+
+  const starting = squad.filter(p => p.is_starter);
+  const bench = squad.filter(p => !p.is_starter);
+
+  return {
+    entry: {
+      id: entry.id,
+      name: entry.name,
+      player_name: `${entry.player_first_name} ${entry.player_last_name}`.trim(),
+      overall_points: entry.summary_overall_points,
+      overall_rank: entry.summary_overall_rank
+    },
+    gameweek: gw,
+    active_chip: picks.active_chip,
+    entry_history: picks.entry_history ? {
+      points: picks.entry_history.points,
+      total_points: picks.entry_history.total_points,
+      rank: picks.entry_history.rank,
+      bank: picks.entry_history.bank / 10,
+      value: picks.entry_history.value / 10,
+      event_transfers: picks.entry_history.event_transfers,
+      event_transfers_cost: picks.entry_history.event_transfers_cost,
+      points_on_bench: picks.entry_history.points_on_bench
+    } : null,
+    fixtures_window: { from: window.from, to: window.to },
+    starting,
+    bench,
+    summary: {
+      expected_points: parseFloat(starting
+        .reduce((sum, p) => sum + (p.expected_points || 0) * p.multiplier, 0)
+        .toFixed(1)),
+      bench_expected_points: parseFloat(bench
+        .reduce((sum, p) => sum + (p.expected_points || 0), 0)
+        .toFixed(1)),
+      recent_points: squad.reduce((sum, p) => sum + (p.form?.points || 0), 0)
+    }
+  };
+}
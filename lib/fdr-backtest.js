@@ -0,0 +1,251 @@
+/**
+ * FDR backtest
+ *
+ * For every finished gameweek G, takes the latest fdr_weekly_snapshots row
+ * written before G (snapshot gameweek < G, so no results from G leak in) and
+ * scores how well each fixture's predicted difficulty matched what happened:
+ *   - points: FPL points scored by the team's players (player_gameweek_stats)
+ *   - goals_for / goals_against: fixture score (fixtures table)
+ *
+ * Our custom FDR (1-10) and FPL's official difficulty (1-5) are scored on the
+ * same fixtures. A useful difficulty rating correlates negatively with points
+ * and goals_for and positively with goals_against.
+ *
+ * Difficulty of a fixture for team T against opponent O (same as lib/fdr-ticker.js):
+ *   - T at home: ours = O.away_difficulty, FPL = team_h_difficulty
+ *   - T away:    ours = O.home_difficulty, FPL = team_a_difficulty
+ *
+ * Double gameweek fixtures are excluded from the points metric because
+ * player_gameweek_stats holds one row per player per gameweek.
+ */
+
+import { fetchAllRows } from './paginate.js';
+import { mean, pearson, spearman, linearFit, round } from './stats.js';
+
+export const BACKTEST_MODELS = {
+  custom: { label: 'Custom FDR', key: 'custom_difficulty', min: 1, max: 10 },
+  fpl: { label: 'FPL official', key: 'fpl_difficulty', min: 1, max: 5 }
+};
+
+const TARGETS = ['points', 'goals_for', 'goals_against'];
+
+/**
+ * Build one sample per team per finished fixture
+ */
+function buildSamples(fixtures, snapshots, pointsBySide, gameweeks) {
+  const snapshotGameweeks = [...new Set(snapshots.map(s => s.gameweek_id))].sort((a, b) => a - b);
+  const snapshotsByKey = new Map(snapshots.map(s => [`${s.gameweek_id}:${s.team_id}`, s]));
+
+  const fixtureCount = new Map();
+  fixtures.forEach(f => {
+    [f.team_h, f.team_a].forEach(teamId => {
+      const key = `${f.event}:${teamId}`;
+      fixtureCount.set(key, (fixtureCount.get(key) || 0) + 1);
+    });
+  });
+
+  const samples = [];
+  const skipped = [];
+
+  for (const gw of gameweeks) {
+    const snapshotGW = [...snapshotGameweeks].reverse().find(s => s < gw);
+
+    if (snapshotGW === undefined) {
+      skipped.push({ gameweek: gw, reason: 'No snapshot before this gameweek' });
+      continue;
+    }
+
+    for (const fixture of fixtures.filter(f => f.event === gw)) {
+      const sides = [
+        { teamId: fixture.team_h, opponentId: fixture.team_a, isHome: true },
+        { teamId: fixture.team_a, opponentId: fixture.team_h, isHome: false }
+      ];
+
+      for (const { teamId, opponentId, isHome } of sides) {
+        const opponentSnapshot = snapshotsByKey.get(`${snapshotGW}:${opponentId}`);
+        const fplDifficulty = isHome ? fixture.team_h_difficulty : fixture.team_a_difficulty;
+        const customDifficulty = opponentSnapshot
+          ? parseFloat(isHome ? opponentSnapshot.away_difficulty : opponentSnapshot.home_difficulty)
+          : NaN;
+
+        // Both models must be scored on the same fixtures
+        if (isNaN(customDifficulty) || !fplDifficulty) continue;
+
+        const isDouble = fixtureCount.get(`${gw}:${teamId}`) > 1;
+
+        samples.push({
+          gameweek: gw,
+          snapshot_gameweek: snapshotGW,
+          fixture_id: fixture.id,
+          team_id: teamId,
+          opponent_id: opponentId,
+          venue: isHome ? 'H' : 'A',
+          custom_difficulty: customDifficulty,
+          fpl_difficulty: fplDifficulty,
+          goals_for: isHome ? fixture.team_h_score : fixture.team_a_score,
+          goals_against: isHome ? fixture.team_a_score : fixture.team_h_score,
+          points: isDouble ? null : (pointsBySide.get(`${gw}:${opponentId}:${isHome}`) ?? null)
+        });
+      }
+    }
+  }
+
+  return { samples, skipped };
+}
+
+/**
+ * Correlation and calibration of one model's difficulty against each target
+ */
+function evaluateModel(samples, model) {
+  const targets = {};
+
+  for (const target of TARGETS) {
+    const usable = samples.filter(s => s[target] !== null && s[target] !== undefined);
+    const xs = usable.map(s => s[model.key]);
+    const ys = usable.map(s => s[target]);
+
+    // Fit on difficulty scaled to 0-1 so slopes are comparable across 1-10 and 1-5 scales:
+    // slope = change in the target from the easiest to the hardest possible fixture
+    const fit = linearFit(xs.map(x => (x - model.min) / (model.max - model.min)), ys);
+
+    targets[target] = {
+      samples: usable.length,
+      pearson: round(pearson(xs, ys)),
+      spearman: round(spearman(xs, ys)),
+      easiest_to_hardest_change: round(fit?.slope ?? null, 2),
+      r_squared: round(fit?.r_squared ?? null)
+    };
+  }
+
+  // Calibration: average outcome per (rounded) difficulty bucket
+  const buckets = new Map();
+  samples.forEach(s => {
+    const bucket = Math.round(s[model.key]);
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(s);
+  });
+
+  const calibration = [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([difficulty, bucketSamples]) => {
+      const withPoints = bucketSamples.filter(s => s.points !== null);
+      return {
+        difficulty,
+        samples: bucketSamples.length,
+        avg_points: round(mean(withPoints.map(s => s.points)), 2),
+        avg_goals_for: round(mean(bucketSamples.map(s => s.goals_for)), 2),
+        avg_goals_against: round(mean(bucketSamples.map(s => s.goals_against)), 2)
+      };
+    });
+
+  return {
+    label: model.label,
+    scale: `${model.min}-${model.max}`,
+    targets,
+    calibration
+  };
+}
+
+/**
+ * Run the backtest over finished gameweeks
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number} options.from - First gameweek (default: 1)
+ * @param {number} options.to - Last gameweek (default: last finished gameweek)
+ */
+export async function runFdrBacktest(supabase, { from = 1, to } = {}) {
+  const { data: finishedGameweeks, error: gwError } = await supabase
+    .from('gameweeks')
+    .select('id')
+    .eq('finished', true)
+    .order('id', { ascending: true });
+
+  if (gwError) {
+    throw new Error(`Failed to fetch gameweeks: ${gwError.message}`);
+  }
+
+  const lastFinished = finishedGameweeks[finishedGameweeks.length - 1]?.id;
+  const toGW = Math.min(to ?? lastFinished ?? 0, lastFinished ?? 0);
+  const gameweeks = finishedGameweeks.map(gw => gw.id).filter(id => id >= from && id <= toGW);
+
+  if (gameweeks.length === 0) {
+    throw new Error('No finished gameweeks in range');
+  }
+
+  const [fixtures, snapshots, stats] = await Promise.all([
+    fetchAllRows(() => supabase
+      .from('fixtures')
+      .select('id, event, team_h, team_a, team_h_score, team_a_score, team_h_difficulty, team_a_difficulty')
+      .eq('finished', true)
+      .gte('event', from)
+      .lte('event', toGW)
+      .order('id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('fdr_weekly_snapshots')
+      .select('team_id, gameweek_id, home_difficulty, away_difficulty')
+      .lt('gameweek_id', toGW)
+      .order('gameweek_id', { ascending: true })
+      .order('team_id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('player_gameweek_stats')
+      .select('player_id, gameweek_id, opponent_team, was_home, total_points')
+      .gte('gameweek_id', from)
+      .lte('gameweek_id', toGW)
+      .order('player_id', { ascending: true })
+      .order('gameweek_id', { ascending: true }))
+  ]);
+
+  // Team points per side: players of the home side have was_home = true and opponent = away team
+  const pointsBySide = new Map();
+  stats.forEach(row => {
+    const key = `${row.gameweek_id}:${row.opponent_team}:${row.was_home}`;
+    pointsBySide.set(key, (pointsBySide.get(key) || 0) + (row.total_points || 0));
+  });
+
+  const { samples, skipped } = buildSamples(fixtures, snapshots, pointsBySide, gameweeks);
+
+  if (samples.length === 0) {
+    throw new Error('No fixtures with both a prior FDR snapshot and FPL difficulty in range');
+  }
+
+  const models = Object.fromEntries(
+    Object.entries(BACKTEST_MODELS).map(([name, model]) => [name, evaluateModel(samples, model)])
+  );
+
+  // Lower (more negative) rank correlation with points = better difficulty predictor
+  const customPoints = models.custom.targets.points.spearman;
+  const fplPoints = models.fpl.targets.points.spearman;
+  const better = customPoints === null || fplPoints === null
+    ? null
+    : customPoints < fplPoints ? 'custom' : customPoints > fplPoints ? 'fpl' : 'tie';
+
+  const testedGameweeks = [...new Set(samples.map(s => s.gameweek))];
+
+  const byGameweek = testedGameweeks.map(gw => {
+    const gwSamples = samples.filter(s => s.gameweek === gw && s.points !== null);
+    return {
+      gameweek: gw,
+      snapshot_gameweek: samples.find(s => s.gameweek === gw).snapshot_gameweek,
+      samples: gwSamples.length,
+      custom_points_spearman: round(spearman(gwSamples.map(s => s.custom_difficulty), gwSamples.map(s => s.points))),
+      fpl_points_spearman: round(spearman(gwSamples.map(s => s.fpl_difficulty), gwSamples.map(s => s.points)))
+    };
+  });
+
+  return {
+    from,
+    to: toGW,
+    gameweeks_tested: testedGameweeks.length,
+    skipped_gameweeks: skipped,
+    samples: samples.length,
+    models,
+    comparison: {
+      metric: 'points.spearman',
+      custom: customPoints,
+      fpl: fplPoints,
+      better
+    },
+    by_gameweek: byGameweek
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * FDR weighting models
+ *
+ * calculate_team_fdr() scores each team 1-10 on several factors (goals scored,
+ * goals conceded, xG, xGC, recent form, recent PPG) per venue. The default
+ * 'balanced' model is the SQL function's own result (5 factors at 20% each).
+ * Other models re-weight the same factor scores, e.g. to rank fixtures for
+ * attackers (opponent defence matters most) or defenders (opponent attack).
+ *
+ * Models live in the fdr_models table (name, label, description, weights);
+ * BUILT_IN_FDR_MODELS is used when the table is empty or unavailable.
+ * Per-model ratings are written by /api/fdr/calculate to team_fdr_model_ratings.
+ */
+
+export const DEFAULT_FDR_MODEL = 'balanced';
+
+// Factor → score column in calculate_team_fdr() results / team_fdr_calculations
+const FACTOR_COLUMNS = {
+  goals_scored: (venue) => `${venue}_goals_scored_per_90_score`,
+  goals_conceded: (venue) => `${venue}_goals_conceded_per_90_score`,
+  xg: (venue) => `${venue}_xg_per_90_score`,
+  xgc: (venue) => `${venue}_xgc_per_90_score`,
+  form: () => 'recent_form_score',
+  ppg: (venue) => `${venue}_ppg_recent_score`
+};
+
+export const FDR_FACTORS = Object.keys(FACTOR_COLUMNS);
+
+const FACTOR_LABELS = {
+  goals_scored: 'goals scored',
+  goals_conceded: 'goals conceded',
+  xg: 'xG',
+  xgc: 'xGC',
+  form: 'form',
+  ppg: 'PPG'
+};
+
+export const BUILT_IN_FDR_MODELS = [
+  {
+    name: 'balanced',
+    label: 'Balanced',
+    description: 'Five factors at 20% each (the calculate_team_fdr default)',
+    weights: { goals_scored: 0.2, goals_conceded: 0.2, xg: 0.2, xgc: 0.2, form: 0.2, ppg: 0 }
+  },
+  {
+    name: 'attack',
+    label: 'Attack-focused',
+    description: 'For picking attackers: weights the opponent\'s defence (goals and xG conceded)',
+    weights: { goals_scored: 0.05, goals_conceded: 0.35, xg: 0.05, xgc: 0.35, form: 0.1, ppg: 0.1 }
+  },
+  {
+    name: 'defence',
+    label: 'Defence-focused',
+    description: 'For picking defenders: weights the opponent\'s attack (goals scored and xG)',
+    weights: { goals_scored: 0.35, goals_conceded: 0.05, xg: 0.35, xgc: 0.05, form: 0.1, ppg: 0.1 }
+  },
+  {
+    name: 'xg-heavy',
+    label: 'xG-heavy',
+    description: 'Underlying numbers over results: mostly xG and xGC',
+    weights: { goals_scored: 0.05, goals_conceded: 0.05, xg: 0.35, xgc: 0.35, form: 0.1, ppg: 0.1 }
+  }
+];
+
+// Attack difficulty: how hard it is to score against the team (goals and xG conceded).
+// Defence difficulty: how hard it is to keep them out (goals scored and xG).
+export const ATTACK_WEIGHTS = { goals_conceded: 0.5, xgc: 0.5 };
+export const DEFENCE_WEIGHTS = { goals_scored: 0.5, xg: 0.5 };
+
+/**
+ * Load all models from fdr_models, falling back to the built-in set
+ *
+ * @returns {Promise<Map<string, Object>>} name → { name, label, description, weights }
+ */
+export async function loadFdrModels(supabase) {
+  const { data, error } = await supabase
+    .from('fdr_models')
+    .select('name, label, description, weights')
+    .order('name');
+
+  if (error) {
+    console.warn('  ⚠ Could not load fdr_models, using built-in models:', error.message);
+  }
+
+  const models = !error && data?.length > 0 ? data : BUILT_IN_FDR_MODELS;
+  const byName = new Map(models.map(model => [model.name, model]));
+
+  // The default model always exists - it is the SQL function's own result
+  if (!byName.has(DEFAULT_FDR_MODEL)) {
+    byName.set(DEFAULT_FDR_MODEL, BUILT_IN_FDR_MODELS[0]);
+  }
+
+  return byName;
+}
+
+/**
+ * Weighted difficulty (1-10, one decimal) for one team and venue
+ *
+ * @param {Object} calculation - Row from calculate_team_fdr() / team_fdr_calculations
+ * @param {string} venue - 'home' or 'away'
+ * @param {Object} weights - { factor: weight }; weights need not sum to 1
+ */
+export function weightedDifficulty(calculation, venue, weights) {
+  let total = 0;
+  let weightSum = 0;
+
+  for (const [factor, weight] of Object.entries(weights)) {
+    const column = FACTOR_COLUMNS[factor]?.(venue);
+    if (!column || !weight) continue;
+
+    total += parseFloat(calculation[column] ?? 5) * weight;
+    weightSum += weight;
+  }
+
+  if (weightSum === 0) return 5.0;
+
+  const difficulty = Math.min(10, Math.max(1, total / weightSum));
+  return Math.round(difficulty * 10) / 10;
+}
+
+/**
+ * Attack and defence difficulty (1-10) for both venues
+ *
+ * Same orientation as home_difficulty/away_difficulty: home_attack_difficulty is
+ * how hard it is for attackers to score when playing at this team's ground.
+ *
+ * @param {Object} calculation - Row from calculate_team_fdr() / team_fdr_calculations
+ */
+export function splitDifficulty(calculation) {
+  return {
+    home_attack_difficulty: weightedDifficulty(calculation, 'home', ATTACK_WEIGHTS),
+    away_attack_difficulty: weightedDifficulty(calculation, 'away', ATTACK_WEIGHTS),
+    home_defence_difficulty: weightedDifficulty(calculation, 'home', DEFENCE_WEIGHTS),
+    away_defence_difficulty: weightedDifficulty(calculation, 'away', DEFENCE_WEIGHTS)
+  };
+}
+
+/**
+ * Human-readable weights, e.g. "goals conceded 35%, xGC 35%, form 10%"
+ */
+export function describeWeights(weights) {
+  return Object.entries(weights)
+    .filter(([, weight]) => weight > 0)
+    .map(([factor, weight]) => `${FACTOR_LABELS[factor] || factor} ${Math.round(weight * 100)}%`)
+    .join(', ');
+}
+
+/**
+ * Ratings for a non-default model from team_fdr_model_ratings
+ *
+ * @returns {Promise<Object|null>} { [teamId]: { home_difficulty, away_difficulty, calculated_at } },
+ *                                 or null for the default model (use the teams table)
+ */
+export async function getModelRatings(supabase, modelName) {
+  if (!modelName || modelName === DEFAULT_FDR_MODEL) return null;
+
+  const { data, error } = await supabase
+    .from('team_fdr_model_ratings')
+    .select('team_id, home_difficulty, away_difficulty, calculated_at')
+    .eq('model', modelName);
+
+  if (error) {
+    throw new Error(`Failed to fetch ${modelName} ratings: ${error.message}`);
+  }
+
+  return Object.fromEntries(data.map(row => [row.team_id, row]));
+}
@@ -0,0 +1,85 @@
+/**
+ * FDR weekly snapshots
+ *
+ * /api/fdr/calculate writes one fdr_weekly_snapshots row per team per gameweek
+ * (home/away difficulty plus the raw factor values behind it). These helpers
+ * read them back for the movers and history endpoints.
+ */
+
+export const SNAPSHOT_FIELDS = `
+  team_id,
+  gameweek_id,
+  season_id,
+  home_difficulty,
+  away_difficulty,
+  home_goals_scored_per_90,
+  home_goals_conceded_per_90,
+  away_goals_scored_per_90,
+  away_goals_conceded_per_90,
+  home_xg_per_90,
+  home_xgc_per_90,
+  away_xg_per_90,
+  away_xgc_per_90,
+  recent_form,
+  recent_form_score,
+  home_ppg_recent,
+  home_ppg_recent_score,
+  away_ppg_recent,
+  away_ppg_recent_score
+`;
+
+// Per-venue factors that explain a difficulty move
+const VENUE_FACTORS = ['goals_scored_per_90', 'goals_conceded_per_90', 'xg_per_90', 'xgc_per_90', 'ppg_recent'];
+
+const delta = (to, from) => parseFloat(((parseFloat(to) || 0) - (parseFloat(from) || 0)).toFixed(2));
+
+/**
+ * Gameweeks that have a snapshot, ascending
+ */
+export async function getSnapshotGameweeks(supabase) {
+  const { data, error } = await supabase
+    .from('fdr_weekly_snapshots')
+    .select('gameweek_id')
+    .order('gameweek_id', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch snapshot gameweeks: ${error.message}`);
+  }
+
+  return [...new Set(data.map(row => row.gameweek_id))];
+}
+
+/**
+ * Difficulty change and per-factor deltas between two snapshots of one team
+ *
+ * @param {Object} fromSnapshot - Earlier fdr_weekly_snapshots row
+ * @param {Object} toSnapshot - Later fdr_weekly_snapshots row
+ */
+export function compareSnapshots(fromSnapshot, toSnapshot) {
+  const venueChanges = (venue) => {
+    const factors = {};
+    VENUE_FACTORS.forEach(factor => {
+      factors[factor] = delta(toSnapshot[`${venue}_${factor}`], fromSnapshot[`${venue}_${factor}`]);
+    });
+
+    return {
+      from: parseFloat(fromSnapshot[`${venue}_difficulty`] || 5),
+      to: parseFloat(toSnapshot[`${venue}_difficulty`] || 5),
+      change: delta(toSnapshot[`${venue}_difficulty`], fromSnapshot[`${venue}_difficulty`]),
+      factors
+    };
+  };
+
+  const home = venueChanges('home');
+  const away = venueChanges('away');
+
+  return {
+    home,
+    away,
+    form: {
+      recent_form: delta(toSnapshot.recent_form, fromSnapshot.recent_form),
+      recent_form_score: delta(toSnapshot.recent_form_score, fromSnapshot.recent_form_score)
+    },
+    max_change: Math.max(Math.abs(home.change), Math.abs(away.change))
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Fixture difficulty ticker
+ *
+ * Joins the fixtures table with per-team difficulty ratings so callers get,
+ * for every team, its upcoming fixtures with opponent, venue, our custom
+ * difficulty and FPL's official difficulty side by side.
+ *
+ * Difficulty of a fixture for team T against opponent O:
+ *   - T at home: ours = O.away_difficulty, FPL = team_h_difficulty
+ *   - T away:    ours = O.home_difficulty, FPL = team_a_difficulty
+ */
+
+// Scale maximums - a blank gameweek counts as one fixture at the hardest rating
+export const CUSTOM_MAX_DIFFICULTY = 10;
+export const FPL_MAX_DIFFICULTY = 5;
+
+export const DEFAULT_HORIZON = 6;
+
+/**
+ * Resolve the gameweek window: `from` defaults to the first unfinished gameweek,
+ * `to` is capped at the last gameweek in the gameweeks table
+ */
+export async function resolveGameweekWindow(supabase, { from, horizon = DEFAULT_HORIZON }) {
+  const { data: gameweeks, error } = await supabase
+    .from('gameweeks')
+    .select('id, finished')
+    .order('id', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch gameweeks: ${error.message}`);
+  }
+
+  if (!gameweeks || gameweeks.length === 0) {
+    throw new Error('No gameweeks found');
+  }
+
+  const lastGW = gameweeks[gameweeks.length - 1].id;
+  const nextGW = gameweeks.find(gw => !gw.finished)?.id ?? lastGW;
+  const fromGW = from ?? nextGW;
+
+  return {
+    from: fromGW,
+    to: Math.min(fromGW + horizon - 1, lastGW),
+    lastGW
+  };
+}
+
+/**
+ * Build the ticker for every team
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number} options.from - First gameweek (inclusive)
+ * @param {number} options.to - Last gameweek (inclusive)
+ * @param {Object} options.ratings - Optional { [teamId]: { home_difficulty, away_difficulty } }
+ *                                   to use instead of the teams table ratings
+ * @returns {Promise<Array>} Teams sorted by rank (easiest run first)
+ */
+export async function buildFixtureTicker(supabase, { from, to, ratings = null }) {
+  const [teamsResult, fixturesResult] = await Promise.all([
+    supabase
+      .from('teams')
+      .select('id, name, short_name, code, home_difficulty, away_difficulty'),
+    supabase
+      .from('fixtures')
+      .select('id, event, kickoff_time, team_h, team_a, team_h_difficulty, team_a_difficulty, finished')
+      .gte('event', from)
+      .lte('event', to)
+      .order('kickoff_time', { ascending: true })
+  ]);
+
+  if (teamsResult.error) {
+    throw new Error(`Failed to fetch teams: ${teamsResult.error.message}`);
+  }
+  if (fixturesResult.error) {
+    throw new Error(`Failed to fetch fixtures: ${fixturesResult.error.message}`);
+  }
+
+  const teams = teamsResult.data;
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+
+  const ratingFor = (teamId, venue) => {
+    const source = ratings?.[teamId] || teamsById.get(teamId);
+    const value = venue === 'home' ? source?.home_difficulty : source?.away_difficulty;
+    return parseFloat(value || 5);
+  };
+
+  const fixtureFor = (fixture, teamId) => {
+    const isHome = fixture.team_h === teamId;
+    const opponentId = isHome ? fixture.team_a : fixture.team_h;
+    const opponent = teamsById.get(opponentId);
+
+    return {
+      fixture_id: fixture.id,
+      kickoff_time: fixture.kickoff_time,
+      opponent_id: opponentId,
+      opponent_name: opponent?.name,
+      opponent_short_name: opponent?.short_name,
+      venue: isHome ? 'H' : 'A',
+      difficulty: ratingFor(opponentId, isHome ? 'away' : 'home'),
+      fpl_difficulty: isHome ? fixture.team_h_difficulty : fixture.team_a_difficulty
+    };
+  };
+
+  const ticker = teams.map(team => {
+    const gameweeks = [];
+    let cumulative = 0;
+    let fplCumulative = 0;
+    let fixtureCount = 0;
+    const blankGameweeks = [];
+    const doubleGameweeks = [];
+
+    for (let gw = from; gw <= to; gw++) {
+      const gwFixtures = fixturesResult.data
+        .filter(f => f.event === gw && (f.team_h === team.id || f.team_a === team.id))
+        .map(f => fixtureFor(f, team.id));
+
+      if (gwFixtures.length === 0) {
+        blankGameweeks.push(gw);
+        cumulative += CUSTOM_MAX_DIFFICULTY;
+        fplCumulative += FPL_MAX_DIFFICULTY;
+      } else {
+        if (gwFixtures.length > 1) doubleGameweeks.push(gw);
+        gwFixtures.forEach(f => {
+          cumulative += f.difficulty;
+          fplCumulative += f.fpl_difficulty || 3;
+        });
+        fixtureCount += gwFixtures.length;
+      }
+
+      gameweeks.push({
+        gameweek: gw,
+        blank: gwFixtures.length === 0,
+        double: gwFixtures.length > 1,
+        fixtures: gwFixtures
+      });
+    }
+
+    const slots = fixtureCount + blankGameweeks.length;
+
+    return {
+      id: team.id,
+      name: team.name,
+      short_name: team.short_name,
+      code: team.code,
+      rank: null,
+      fpl_rank: null,
+      fixture_count: fixtureCount,
+      blank_gameweeks: blankGameweeks,
+      double_gameweeks: doubleGameweeks,
+      cumulative_difficulty: parseFloat(cumulative.toFixed(2)),
+      average_difficulty: slots > 0 ? parseFloat((cumulative / slots).toFixed(2)) : null,
+      fpl_cumulative_difficulty: fplCumulative,
+      fpl_average_difficulty: slots > 0 ? parseFloat((fplCumulative / slots).toFixed(2)) : null,
+      gameweeks
+    };
+  });
+
+  // Rank 1 = easiest run (lowest average difficulty per fixture slot)
+  const assignRank = (key, rankKey) => {
+    [...ticker]
+      .sort((a, b) => (a[key] ?? Infinity) - (b[key] ?? Infinity))
+      .forEach((team, index) => { team[rankKey] = index + 1; });
+  };
+  assignRank('fpl_average_difficulty', 'fpl_rank');
+  assignRank('average_difficulty', 'rank');
+
+  return ticker.sort((a, b) => a.rank - b.rank);
+}
@@ -0,0 +1,37 @@
+/**
+ * fixtures table helpers
+ *
+ * Table: fixtures (one row per FPL fixture, id = FPL fixture id)
+ *   id, code, season_id, event (null while unscheduled), kickoff_time,
+ *   team_h, team_a, team_h_score, team_a_score,
+ *   started, finished, finished_provisional, minutes, provisional_start_time,
+ *   team_h_difficulty, team_a_difficulty (FPL official, 1-5),
+ *   stats (jsonb - FPL per-fixture stats: goals, assists, cards, bonus, bps...),
+ *   updated_at
+ */
+
+/**
+ * Map an FPL /fixtures/ entry to a fixtures table row
+ */
+export function mapFixture(fixture, seasonId) {
+  return {
+    id: fixture.id,
+    code: fixture.code,
+    season_id: seasonId,
+    event: fixture.event,
+    kickoff_time: fixture.kickoff_time,
+    team_h: fixture.team_h,
+    team_a: fixture.team_a,
+    team_h_score: fixture.team_h_score,
+    team_a_score: fixture.team_a_score,
+    started: fixture.started ?? false,
+    finished: fixture.finished,
+    finished_provisional: fixture.finished_provisional,
+    minutes: fixture.minutes,
+    provisional_start_time: fixture.provisional_start_time,
+    team_h_difficulty: fixture.team_h_difficulty,
+    team_a_difficulty: fixture.team_a_difficulty,
+    stats: fixture.stats || [],
+    updated_at: new Date().toISOString()
+  };
+}
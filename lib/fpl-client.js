@@ -0,0 +1,154 @@
+/**
+ * Shared FPL API client
+ *
+ * Single place for talking to fantasy.premierleague.com:
+ * - Browser-like headers (FPL returns 403 to obvious bots)
+ * - Retries with exponential backoff on network errors, 429s and 5xx
+ * - Detects the HTML rate-limit page FPL sometimes serves with a 200 status
+ * - Configurable base URL so tests can point at a local mock server
+ *
+ * Usage:
+ *   import fpl from '../../../lib/fpl-client.js';
+ *   const bootstrap = await fpl.getBootstrapStatic();
+ *
+ *   // Or with custom options (e.g. a mock server)
+ *   const client = createFplClient({ baseUrl: 'http://localhost:4000/api', retries: 1 });
+ *
+ * Environment variables (optional):
+ *   FPL_API_BASE - Override the API base URL (default: https://fantasy.premierleague.com/api)
+ */
+
+import fetch from 'node-fetch';
+
+export const DEFAULT_FPL_API_BASE = 'https://fantasy.premierleague.com/api';
+
+export const FPL_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'application/json',
+  'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Referer': 'https://fantasy.premierleague.com/',
+  'Origin': 'https://fantasy.premierleague.com'
+};
+
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error thrown when the FPL API cannot be reached or returns an unusable response
+ * after all retries. `status` is the last HTTP status (null for network errors),
+ * `rateLimited` is true when FPL answered with a 429 or its HTML rate-limit page.
+ */
+export class FplApiError extends Error {
+  constructor(message, { status = null, rateLimited = false, url = null } = {}) {
+    super(message);
+    this.name = 'FplApiError';
+    this.status = status;
+    this.rateLimited = rateLimited;
+    this.url = url;
+  }
+}
+
+// 404s and other 4xx responses will not succeed on retry
+function isRetryable(error) {
+  if (!(error instanceof FplApiError)) return true; // network error
+  if (error.rateLimited) return true;
+  return error.status === null || error.status >= 500;
+}
+
+/**
+ * Create an FPL API client
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - API base URL (default: FPL_API_BASE env var, read per request)
+ * @param {number} options.retries - Total attempts per request (default: 3)
+ * @param {number} options.backoffMs - Base backoff, doubled on each retry (default: 1000)
+ * @param {number} options.rateLimitBackoffMs - Base backoff after a rate-limit response (default: 5000)
+ * @param {Function} options.fetchImpl - fetch implementation (default: node-fetch)
+ */
+export function createFplClient({
+  baseUrl,
+  retries = 3,
+  backoffMs = 1000,
+  rateLimitBackoffMs = 5000,
+  fetchImpl = fetch
+} = {}) {
+  // Resolved lazily so scripts that call dotenv.config() after importing still pick up FPL_API_BASE
+  const getBaseUrl = () =>
+    (baseUrl || process.env.FPL_API_BASE || DEFAULT_FPL_API_BASE).replace(/\/+$/, '');
+
+  async function request(path) {
+    const url = `${getBaseUrl()}/${path.replace(/^\/+/, '')}`;
+    let lastError;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        const response = await fetchImpl(url, { headers: FPL_HEADERS });
+
+        if (!response.ok) {
+          throw new FplApiError(`FPL API error: HTTP ${response.status}`, {
+            status: response.status,
+            rateLimited: response.status === 429,
+            url
+          });
+        }
+
+        // FPL API sometimes returns HTML (rate limit page) with a 200 status
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('application/json')) {
+          throw new FplApiError(`FPL API returned non-JSON response (${contentType || 'no content-type'})`, {
+            status: response.status,
+            rateLimited: true,
+            url
+          });
+        }
+
+        return await response.json();
+      } catch (error) {
+        lastError = error;
+
+        if (attempt === retries || !isRetryable(error)) break;
+
+        const wait = (error.rateLimited ? rateLimitBackoffMs : backoffMs) * 2 ** (attempt - 1);
+        console.warn(`  ⚠ FPL request ${path} failed (attempt ${attempt}/${retries}): ${error.message} - retrying in ${wait}ms`);
+        await delay(wait);
+      }
+    }
+
+    if (lastError instanceof FplApiError) throw lastError;
+    throw new FplApiError(`FPL API request failed: ${lastError.message}`, { url });
+  }
+
+  return {
+    getBaseUrl,
+    request,
+
+    /** All players, teams and gameweeks (events) */
+    getBootstrapStatic: () => request('bootstrap-static/'),
+
+    /** All fixtures, or only those in a gameweek when `event` is given */
+    getFixtures: ({ event } = {}) => request(event ? `fixtures/?event=${event}` : 'fixtures/'),
+
+    /** Player history, upcoming fixtures and past seasons */
+    getElementSummary: (playerId) => request(`element-summary/${playerId}/`),
+
+    /** Live stats for every player in a gameweek */
+    getEventLive: (gameweek) => request(`event/${gameweek}/live/`),
+
+    /** Manager (entry) overview: name, bank, team value, overall rank */
+    getEntry: (entryId) => request(`entry/${entryId}/`),
+
+    /** Manager's points and total after every gameweek this season, plus past seasons */
+    getEntryHistory: (entryId) => request(`entry/${entryId}/history/`),
+
+    /** Manager's picks, active chip and points for a gameweek */
+    getEntryPicks: (entryId, gameweek) => request(`entry/${entryId}/event/${gameweek}/picks/`),
+
+    /** One page (50 entries) of a classic league's standings */
+    getClassicLeague: (leagueId, page = 1) => request(`leagues-classic/${leagueId}/standings/?page_standings=${page}`)
+  };
+}
+
+// Shared default client for API routes and scripts
+const fpl = createFplClient();
+
+export default fpl;
@@ -0,0 +1,236 @@
+/**
+ * Live classic league standings
+ *
+ * Fetches a classic league's members and each member's picks for a gameweek,
+ * scores the picks against FPL's live points (lib/team-scoring.js, with
+ * provisional bonus from lib/live-points.js) and re-ranks the league on the
+ * projected totals.
+ *
+ * Totals are rebuilt from each member's own entry_history for the gameweek,
+ * so they don't depend on when FPL last refreshed the league table:
+ *   previous_total = total_points - (points - event_transfers_cost) - start_total
+ *   live_total     = previous_total + live points - event_transfers_cost
+ *
+ * A league that starts after gameweek 1 (league.start_event) only counts
+ * points from then on: start_total is the member's overall total after
+ * start_event - 1, from their entry history (0 for leagues from gameweek 1).
+ *
+ * Member picks and histories go through lib/response-cache.js, so repeat
+ * requests for a league within the TTLs don't refetch every member.
+ */
+
+import fpl, { delay, FplApiError } from './fpl-client.js';
+import { fetchLiveGameweek } from './live-points.js';
+import { livePlayersFromEvent, scorePicks } from './team-scoring.js';
+import { createResponseCache, createMemoryStore } from './response-cache.js';
+
+export const MAX_LEAGUE_MEMBERS = 100;
+
+const PICKS_BATCH_SIZE = 10;
+const RATE_LIMIT_DELAY = 50;
+
+const defaultCache = createResponseCache({ store: createMemoryStore() });
+
+/**
+ * All members of a classic league, up to MAX_LEAGUE_MEMBERS
+ *
+ * @returns {Promise<Object>} { league, members, complete } - complete is false when the league is larger
+ */
+export async function getLeagueMembers(leagueId) {
+  const members = [];
+  let league = null;
+
+  for (let page = 1; ; page++) {
+    const data = await fpl.getClassicLeague(leagueId, page);
+    league = data.league;
+    members.push(...data.standings.results);
+
+    if (!data.standings.has_next) {
+      return { league, members, complete: true };
+    }
+    if (members.length >= MAX_LEAGUE_MEMBERS) {
+      return { league, members: members.slice(0, MAX_LEAGUE_MEMBERS), complete: false };
+    }
+  }
+}
+
+/**
+ * Competition ranking (1, 2, 2, 4) on a numeric field, highest first
+ */
+function rankBy(items, field) {
+  const ranks = new Map();
+  items.forEach(item => {
+    ranks.set(item, 1 + items.filter(other => other[field] > item[field]).length);
+  });
+  return ranks;
+}
+
+/**
+ * Picks for each member, in rate-limited batches. Members without picks for
+ * the gameweek (joined FPL later) get null.
+ */
+async function getMemberPicks(members, gameweek, cache) {
+  const picks = new Map();
+
+  for (let i = 0; i < members.length; i += PICKS_BATCH_SIZE) {
+    const batch = members.slice(i, i + PICKS_BATCH_SIZE);
+
+    await Promise.all(batch.map(async (member) => {
+      try {
+        const { data } = await cache.fetch(`entry/${member.entry}/event/${gameweek}/picks/`);
+        picks.set(member.entry, data);
+      } catch (error) {
+        if (!(error instanceof FplApiError && error.status === 404)) throw error;
+        picks.set(member.entry, null);
+      }
+    }));
+
+    if (i + PICKS_BATCH_SIZE < members.length) {
+      await delay(RATE_LIMIT_DELAY * PICKS_BATCH_SIZE);
+    }
+  }
+
+  return picks;
+}
+
+/**
+ * Each member's overall total after `gameweek`, in rate-limited batches (0
+ * when they hadn't played a gameweek by then, or their entry no longer exists)
+ */
+async function getMemberTotalsAfter(members, gameweek, cache) {
+  const totals = new Map();
+
+  for (let i = 0; i < members.length; i += PICKS_BATCH_SIZE) {
+    const batch = members.slice(i, i + PICKS_BATCH_SIZE);
+
+    await Promise.all(batch.map(async (member) => {
+      try {
+        const { data: history } = await cache.fetch(`entry/${member.entry}/history/`);
+        const before = history.current.filter(row => row.event <= gameweek);
+        totals.set(member.entry, before.length > 0 ? before[before.length - 1].total_points : 0);
+      } catch (error) {
+        if (!(error instanceof FplApiError && error.status === 404)) throw error;
+        totals.set(member.entry, 0);
+      }
+    }));
+
+    if (i + PICKS_BATCH_SIZE < members.length) {
+      await delay(RATE_LIMIT_DELAY * PICKS_BATCH_SIZE);
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Live standings for a classic league
+ *
+ * @param {Object} options
+ * @param {number} options.leagueId - FPL classic league ID
+ * @param {number} options.gameweek - Gameweek to score (default: the current gameweek)
+ * @param {boolean} options.includePicks - Include each member's scored picks
+ * @param {Object} options.cache - Response cache for member requests (default: per-process memory cache)
+ * @returns {Promise<Object>} { league, gameweek, status, complete, started, standings }
+ *          (no standings when the league has more than MAX_LEAGUE_MEMBERS, or
+ *          when it starts after the requested gameweek - started: false)
+ */
+export async function getLiveLeague({ leagueId, gameweek, includePicks = false, cache = defaultCache }) {
+  const [bootstrap, { league, members, complete }] = await Promise.all([
+    fpl.getBootstrapStatic(),
+    getLeagueMembers(leagueId)
+  ]);
+
+  const gw = gameweek ?? bootstrap.events.find(event => event.is_current)?.id;
+  if (!gw) {
+    throw new Error('No current gameweek (season not started)');
+  }
+
+  const startEvent = league.start_event || 1;
+  const leagueInfo = { id: league.id, name: league.name, start_event: startEvent };
+
+  // Too large to score on demand, or not started yet - don't fetch anyone's picks
+  if (!complete || gw < startEvent) {
+    return { league: leagueInfo, gameweek: gw, complete, started: gw >= startEvent, standings: [] };
+  }
+
+  const [{ live, fixtures, status }, memberPicks] = await Promise.all([
+    fetchLiveGameweek(gw),
+    getMemberPicks(members, gw, cache)
+  ]);
+
+  // After the picks rather than alongside them, to keep to the same request rate
+  const startTotals = startEvent > 1 ? await getMemberTotalsAfter(members, startEvent - 1, cache) : new Map();
+
+  const players = livePlayersFromEvent(live, { elements: bootstrap.elements, fixtures, gameweek: gw });
+  const elementsById = new Map(bootstrap.elements.map(element => [element.id, element]));
+  const nameOf = (element) => elementsById.get(element)?.web_name ?? null;
+
+  const standings = members.map(member => {
+    const picks = memberPicks.get(member.entry);
+    const base = {
+      entry: member.entry,
+      entry_name: member.entry_name,
+      player_name: member.player_name,
+      league_rank: member.rank
+    };
+
+    if (!picks) {
+      return { ...base, has_picks: false, previous_total: 0, live_points: 0, transfer_cost: 0, live_gameweek_points: 0, live_total: 0 };
+    }
+
+    const history = picks.entry_history;
+    const transferCost = history.event_transfers_cost || 0;
+    const previousTotal = history.total_points - (history.points - transferCost) - (startTotals.get(member.entry) || 0);
+    const score = scorePicks(picks.picks, players, picks.active_chip);
+    const captain = score.picks.find(pick => pick.element === score.captain.element);
+
+    return {
+      ...base,
+      has_picks: true,
+      active_chip: picks.active_chip,
+      previous_total: previousTotal,
+      live_points: score.points,
+      transfer_cost: transferCost,
+      live_gameweek_points: score.points - transferCost,
+      live_total: previousTotal + score.points - transferCost,
+      bench_points: score.bench_points,
+      manager_points: score.manager_points,
+      captain: captain ? {
+        element: captain.element,
+        web_name: nameOf(captain.element),
+        points: captain.total,
+        vice_promoted: score.captain.vice_promoted
+      } : null,
+      auto_subs: score.auto_subs.map(sub => ({
+        out: { element: sub.out, web_name: nameOf(sub.out) },
+        in: { element: sub.in, web_name: nameOf(sub.in) }
+      })),
+      pending_subs: score.pending_subs.length,
+      players_to_play: score.picks.filter(pick => pick.multiplier > 0 && !pick.finished).length,
+      ...(includePicks && {
+        picks: score.picks.map(pick => ({ ...pick, web_name: nameOf(pick.element) }))
+      })
+    };
+  });
+
+  const previousRanks = rankBy(standings, 'previous_total');
+  const liveRanks = rankBy(standings, 'live_total');
+
+  const ranked = standings
+    .map(member => ({
+      ...member,
+      previous_rank: previousRanks.get(member),
+      live_rank: liveRanks.get(member),
+      rank_change: previousRanks.get(member) - liveRanks.get(member)
+    }))
+    .sort((a, b) => a.live_rank - b.live_rank || b.live_gameweek_points - a.live_gameweek_points);
+
+  return {
+    league: leagueInfo,
+    gameweek: gw,
+    status,
+    complete,
+    started: true,
+    standings: ranked
+  };
+}
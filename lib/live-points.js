@@ -0,0 +1,249 @@
+/**
+ * Live gameweek scoring
+ *
+ * Turns FPL's /event/{gw}/live/ and /fixtures/?event={gw} into one row per
+ * player for live_player_points, with provisional bonus worked out from BPS
+ * before FPL confirms it, and diffs successive polls into live_events for
+ * GET /api/live/stream.
+ *
+ * FPL adds bonus to a player's stats only once a fixture is `finished`
+ * (about an hour after full time). Until then the top three BPS in each
+ * fixture get provisional bonus of 3, 2 and 1. Ties share the higher award
+ * and push the next player down: 3,3,1 / 3,3,3 / 3,2,2 / 3,2,1,1.
+ */
+
+import fpl from './fpl-client.js';
+
+const BONUS_AWARDS = [3, 2, 1];
+
+/**
+ * Provisional bonus for one fixture
+ *
+ * @param {Array} players - [{ element, bps, minutes }] of everyone in the fixture
+ * @returns {Map<number, number>} element → bonus (only players who get some)
+ */
+export function calculateProvisionalBonus(players) {
+  const eligible = players.filter(player => player.minutes > 0);
+  const bonus = new Map();
+
+  for (const player of eligible) {
+    // Competition ranking: 1 + number of players with strictly more BPS
+    const rank = 1 + eligible.filter(other => other.bps > player.bps).length;
+    if (rank <= BONUS_AWARDS.length) bonus.set(player.element, BONUS_AWARDS[rank - 1]);
+  }
+
+  return bonus;
+}
+
+const statValue = (stats, identifier) => stats.find(stat => stat.identifier === identifier)?.value ?? 0;
+const statPoints = (stats) => stats.reduce((sum, stat) => sum + (stat.points || 0), 0);
+
+/**
+ * BPS per player per fixture from the fixtures' `bps` stat (home and away lists)
+ *
+ * @returns {Map<number, Map<number, number>>} fixture ID → element → bps
+ */
+function bpsByFixture(fixtures) {
+  return new Map(fixtures.map(fixture => {
+    const bps = (fixture.stats || []).find(stat => stat.identifier === 'bps');
+    const entries = [...(bps?.h || []), ...(bps?.a || [])].map(({ element, value }) => [element, value]);
+    return [fixture.id, new Map(entries)];
+  }));
+}
+
+/**
+ * Per-fixture breakdown of each player's live stats from `explain`
+ *
+ * @returns {Map<number, Array>} fixture ID → [{ element, minutes, bps, points, bonus }]
+ */
+export function splitByFixture(liveElements, fixtures) {
+  const fixtureBps = bpsByFixture(fixtures);
+  const byFixture = new Map();
+
+  for (const element of liveElements) {
+    for (const { fixture, stats } of element.explain || []) {
+      if (!byFixture.has(fixture)) byFixture.set(fixture, []);
+
+      // Single-fixture players can fall back to their gameweek BPS
+      const bps = fixtureBps.get(fixture)?.get(element.id) ??
+        (element.explain.length === 1 ? element.stats.bps : 0);
+
+      byFixture.get(fixture).push({
+        element: element.id,
+        minutes: statValue(stats, 'minutes'),
+        bps,
+        points: statPoints(stats),
+        bonus: statValue(stats, 'bonus')
+      });
+    }
+  }
+
+  return byFixture;
+}
+
+/**
+ * Build live_player_points rows for a gameweek
+ *
+ * @param {number} gameweek
+ * @param {Object} live - /event/{gw}/live/ response
+ * @param {Array} fixtures - /fixtures/?event={gw} response
+ * @returns {Array} One row per player with a fixture in the gameweek
+ */
+export function buildLivePoints(gameweek, live, fixtures) {
+  const fixturesById = new Map(fixtures.map(fixture => [fixture.id, fixture]));
+  const byFixture = splitByFixture(live.elements, fixtures);
+
+  // Provisional bonus only where FPL hasn't confirmed it yet
+  const provisional = new Map();
+  for (const [fixtureId, players] of byFixture) {
+    const fixture = fixturesById.get(fixtureId);
+    if (!fixture?.started || fixture.finished) continue;
+    provisional.set(fixtureId, calculateProvisionalBonus(players));
+  }
+
+  const updatedAt = new Date().toISOString();
+
+  return live.elements
+    .filter(element => (element.explain || []).length > 0)
+    .map(element => {
+      const fixtureBreakdown = element.explain.map(({ fixture: fixtureId }) => {
+        const entry = byFixture.get(fixtureId).find(player => player.element === element.id);
+        const fixture = fixturesById.get(fixtureId);
+        const provisionalBonus = provisional.get(fixtureId)?.get(element.id) || 0;
+
+        return {
+          fixture_id: fixtureId,
+          minutes: entry.minutes,
+          bps: entry.bps,
+          points: entry.points,
+          bonus: entry.bonus,
+          provisional_bonus: provisionalBonus,
+          bonus_confirmed: Boolean(fixture?.finished)
+        };
+      });
+
+      const provisionalBonus = fixtureBreakdown.reduce((sum, f) => sum + f.provisional_bonus, 0);
+
+      return {
+        gameweek_id: gameweek,
+        player_id: element.id,
+        minutes: element.stats.minutes,
+        goals_scored: element.stats.goals_scored,
+        assists: element.stats.assists,
+        clean_sheets: element.stats.clean_sheets,
+        goals_conceded: element.stats.goals_conceded,
+        saves: element.stats.saves,
+        yellow_cards: element.stats.yellow_cards,
+        red_cards: element.stats.red_cards,
+        bps: element.stats.bps,
+        bonus: element.stats.bonus,
+        provisional_bonus: provisionalBonus,
+        total_points: element.stats.total_points,
+        live_total: element.stats.total_points + provisionalBonus,
+        fixtures: fixtureBreakdown,
+        updated_at: updatedAt
+      };
+    });
+}
+
+// Stat changes pushed to live_events - type → live_player_points column
+const EVENT_STATS = {
+  goal: 'goals_scored',
+  assist: 'assists',
+  yellow_card: 'yellow_cards',
+  red_card: 'red_cards',
+  minutes: 'minutes'
+};
+
+const effectiveBonus = (row) => (row?.bonus || 0) + (row?.provisional_bonus || 0);
+
+/**
+ * The fixture a player's change most likely came from: the one whose
+ * minutes or points moved since the last poll (double gameweeks), otherwise
+ * their latest fixture
+ */
+function changedFixture(row, previous) {
+  const before = new Map((previous?.fixtures || []).map(f => [f.fixture_id, f]));
+  const moved = row.fixtures.find(f =>
+    f.minutes !== (before.get(f.fixture_id)?.minutes ?? 0) ||
+    f.points !== (before.get(f.fixture_id)?.points ?? 0)
+  );
+  return (moved || row.fixtures[row.fixtures.length - 1])?.fixture_id ?? null;
+}
+
+/**
+ * Changes between two polls of the same gameweek, as live_events rows
+ *
+ * A player missing from the previous poll counts as all zeros, so the first
+ * poll after kickoff reports everything that has happened so far.
+ *
+ * Each event carries the previous row's updated_at, so diffing the same
+ * stored poll again (after a failed sync) gives the same
+ * (gameweek_id, player_id, type, previous_updated_at) key.
+ *
+ * @param {Array} previousRows - live_player_points rows already stored (with updated_at)
+ * @param {Array} rows - Freshly built rows (buildLivePoints)
+ * @param {Map<number, string>} names - Optional player ID → web_name
+ * @returns {Array} [{ gameweek_id, player_id, fixture_id, type, previous_updated_at, data }]
+ */
+export function diffLivePoints(previousRows, rows, names = new Map()) {
+  const previousById = new Map(previousRows.map(row => [row.player_id, row]));
+  const events = [];
+
+  for (const row of rows) {
+    const previous = previousById.get(row.player_id);
+    const event = (type, from, to, extra = {}) => events.push({
+      gameweek_id: row.gameweek_id,
+      player_id: row.player_id,
+      fixture_id: changedFixture(row, previous),
+      type,
+      previous_updated_at: previous?.updated_at ?? null,
+      data: {
+        web_name: names.get(row.player_id) ?? null,
+        from,
+        to,
+        delta: to - from,
+        live_total: row.live_total,
+        ...extra
+      }
+    });
+
+    for (const [type, column] of Object.entries(EVENT_STATS)) {
+      const from = previous?.[column] || 0;
+      const to = row[column] || 0;
+      if (to !== from) event(type, from, to);
+    }
+
+    const bonusFrom = effectiveBonus(previous);
+    const bonusTo = effectiveBonus(row);
+    if (bonusTo !== bonusFrom) {
+      event('bonus', bonusFrom, bonusTo, { provisional: row.provisional_bonus > 0 });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Fetch live data for a gameweek
+ *
+ * @returns {Promise<Object>} { live, fixtures, status } - status tells callers whether polling is worthwhile
+ */
+export async function fetchLiveGameweek(gameweek) {
+  const [live, fixtures] = await Promise.all([
+    fpl.getEventLive(gameweek),
+    fpl.getFixtures({ event: gameweek })
+  ]);
+
+  return {
+    live,
+    fixtures,
+    status: {
+      fixtures: fixtures.length,
+      started: fixtures.filter(f => f.started).length,
+      in_progress: fixtures.filter(f => f.started && !f.finished_provisional).length,
+      awaiting_bonus: fixtures.filter(f => f.started && !f.finished).length,
+      finished: fixtures.filter(f => f.finished).length
+    }
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Supabase pagination helper
+ *
+ * PostgREST caps a select at 1000 rows by default. fetchAllRows pages through
+ * a query with .range() until a short page comes back.
+ */
+
+export const PAGE_SIZE = 1000;
+
+/**
+ * Fetch every row of a query
+ *
+ * @param {Function} buildQuery - Returns a fresh query builder each call (a builder
+ *                                can only be awaited once), e.g.
+ *                                () => supabase.from('fixtures').select('id').order('id')
+ * @param {number} pageSize - Rows per request
+ * @returns {Promise<Array>}
+ */
+export async function fetchAllRows(buildQuery, pageSize = PAGE_SIZE) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    rows.push(...data);
+
+    if (data.length < pageSize) break;
+  }
+
+  return rows;
+}
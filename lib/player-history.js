@@ -0,0 +1,269 @@
+/**
+ * Player gameweek history
+ *
+ * Queries shared by /api/players/[id]/history and /api/players/compare:
+ * - getPlayerHistory: player_gameweek_stats rows with gameweek and opponent info
+ * - getPlayersInfo: player names and clubs
+ * - mapHistoryRow: row → frontend shape ({ stats, ownership } grouped)
+ * - summariseHistory: season-to-date totals
+ * - getPlayerCareer: every season of a player, linked by players.code
+ *
+ * Past seasons are read from the archive tables (see lib/seasons.js) and
+ * shaped like current-season rows, so callers don't need to care which
+ * season they asked for.
+ */
+
+import { fetchAllRows } from './paginate.js';
+import { getSeasons, getPlayerCodes, getArchivedRows } from './seasons.js';
+
+const HISTORY_SELECT = `
+  *,
+  gameweeks!inner(
+    id,
+    name,
+    deadline_time,
+    finished,
+    is_current
+  ),
+  teams!opponent_team(
+    id,
+    short_name,
+    name
+  )
+`;
+
+const PLAYER_SELECT = `
+  id,
+  web_name,
+  first_name,
+  second_name,
+  element_type,
+  now_cost,
+  teams!inner(id, short_name, name)
+`;
+
+/**
+ * Shape an archived row like a player_gameweek_stats row with its joins
+ */
+function fromArchive(row, playerId) {
+  return {
+    ...row,
+    player_id: playerId,
+    gameweek_id: row.gameweek,
+    gameweeks: {
+      id: row.gameweek,
+      name: `Gameweek ${row.gameweek}`,
+      deadline_time: null,
+      finished: true,
+      is_current: false
+    },
+    teams: {
+      id: row.opponent_team,
+      short_name: row.opponent_team_short_name,
+      name: row.opponent_team_name
+    }
+  };
+}
+
+/**
+ * Fetch history rows for one or more players, ordered by player then gameweek
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Array<number>} playerIds - Current season player IDs
+ * @param {Object} options
+ * @param {Object} options.season - Optional season from resolveSeason (default: current)
+ * @param {number} options.startGW - Optional first gameweek (inclusive)
+ * @param {number} options.endGW - Optional last gameweek (inclusive)
+ * @param {number} options.limit - Optional limit on rows (single player history)
+ */
+export async function getPlayerHistory(supabase, playerIds, { season, startGW, endGW, limit } = {}) {
+  if (season && !season.is_current) {
+    const codes = await getPlayerCodes(supabase, playerIds);
+    const idsByCode = new Map([...codes].map(([id, code]) => [code, id]));
+    const rows = await getArchivedRows(supabase, {
+      seasonId: season.id,
+      codes: [...idsByCode.keys()],
+      startGW,
+      endGW
+    });
+    const history = rows.map(row => fromArchive(row, idsByCode.get(row.player_code)));
+    return limit ? history.slice(0, limit) : history;
+  }
+
+  const buildQuery = () => {
+    let query = supabase
+      .from('player_gameweek_stats')
+      .select(HISTORY_SELECT)
+      .in('player_id', playerIds)
+      .order('player_id', { ascending: true })
+      .order('gameweek_id', { ascending: true });
+
+    if (startGW) query = query.gte('gameweek_id', startGW);
+    if (endGW) query = query.lte('gameweek_id', endGW);
+    return query;
+  };
+
+  if (limit) {
+    const { data, error } = await buildQuery().limit(limit);
+    if (error) throw error;
+    return data;
+  }
+
+  return fetchAllRows(buildQuery);
+}
+
+/**
+ * Fetch player info (names, position, club, price)
+ *
+ * @returns {Promise<Array>} Players flattened with team_id, team_name, team_short_name
+ */
+export async function getPlayersInfo(supabase, playerIds) {
+  const { data, error } = await supabase
+    .from('players')
+    .select(PLAYER_SELECT)
+    .in('id', playerIds);
+
+  if (error) throw error;
+
+  return data.map(player => ({
+    id: player.id,
+    web_name: player.web_name,
+    first_name: player.first_name,
+    second_name: player.second_name,
+    element_type: player.element_type,
+    now_cost: player.now_cost !== null && player.now_cost !== undefined ? player.now_cost / 10 : null,
+    team_id: player.teams.id,
+    team_name: player.teams.name,
+    team_short_name: player.teams.short_name
+  }));
+}
+
+/**
+ * Transform a history row for easier frontend consumption
+ */
+export function mapHistoryRow(gw) {
+  return {
+    gameweek_id: gw.gameweek_id,
+    gameweek_name: gw.gameweeks.name,
+    deadline_time: gw.gameweeks.deadline_time,
+    finished: gw.gameweeks.finished,
+    is_current: gw.gameweeks.is_current,
+    opponent_team_id: gw.opponent_team,
+    opponent_team_name: gw.teams?.name,
+    opponent_team_short_name: gw.teams?.short_name,
+    was_home: gw.was_home,
+    kickoff_time: gw.kickoff_time,
+    stats: {
+      total_points: gw.total_points,
+      minutes: gw.minutes,
+      goals_scored: gw.goals_scored,
+      assists: gw.assists,
+      clean_sheets: gw.clean_sheets,
+      goals_conceded: gw.goals_conceded,
+      bonus: gw.bonus,
+      bps: gw.bps,
+      own_goals: gw.own_goals,
+      penalties_saved: gw.penalties_saved,
+      penalties_missed: gw.penalties_missed,
+      yellow_cards: gw.yellow_cards,
+      red_cards: gw.red_cards,
+      saves: gw.saves,
+      expected_goals: gw.expected_goals,
+      expected_assists: gw.expected_assists,
+      expected_goal_involvements: gw.expected_goal_involvements,
+      expected_goals_conceded: gw.expected_goals_conceded,
+      influence: gw.influence,
+      creativity: gw.creativity,
+      threat: gw.threat,
+      ict_index: gw.ict_index
+    },
+    ownership: {
+      value: gw.value,
+      selected: gw.selected,
+      transfers_in: gw.transfers_in,
+      transfers_out: gw.transfers_out
+    }
+  };
+}
+
+/**
+ * Summary stats over mapped history rows
+ */
+export function summariseHistory(history) {
+  return {
+    total_gameweeks: history.length,
+    total_points: history.reduce((sum, gw) => sum + gw.stats.total_points, 0),
+    total_minutes: history.reduce((sum, gw) => sum + gw.stats.minutes, 0),
+    total_goals: history.reduce((sum, gw) => sum + gw.stats.goals_scored, 0),
+    total_assists: history.reduce((sum, gw) => sum + gw.stats.assists, 0),
+    total_clean_sheets: history.reduce((sum, gw) => sum + gw.stats.clean_sheets, 0),
+    total_bonus: history.reduce((sum, gw) => sum + gw.stats.bonus, 0),
+    average_points: history.length > 0
+      ? (history.reduce((sum, gw) => sum + gw.stats.total_points, 0) / history.length).toFixed(2)
+      : 0
+  };
+}
+
+/**
+ * Every season of a player, linked across seasons by players.code
+ *
+ * Seasons with archived gameweeks get full history; seasons only known from
+ * FPL's history_past (player_season_history) get totals.
+ *
+ * @returns {Promise<Array>} [{ season_id, season_name, is_current, source, summary, history }] oldest first
+ */
+export async function getPlayerCareer(supabase, playerId) {
+  const codes = await getPlayerCodes(supabase, [playerId]);
+  const code = codes.get(playerId);
+  if (code === undefined) return [];
+
+  const [seasons, archived, current, pastResult] = await Promise.all([
+    getSeasons(supabase),
+    getArchivedRows(supabase, { codes: [code] }),
+    getPlayerHistory(supabase, [playerId]),
+    supabase
+      .from('player_season_history')
+      .select('*')
+      .eq('player_code', code)
+  ]);
+
+  if (pastResult.error) throw pastResult.error;
+
+  return seasons
+    .map(season => {
+      if (season.is_current) {
+        const history = current.map(mapHistoryRow);
+        return { season, source: 'gameweeks', history };
+      }
+
+      const history = archived
+        .filter(row => row.season_id === season.id)
+        .map(row => mapHistoryRow(fromArchive(row, playerId)));
+      if (history.length > 0) return { season, source: 'gameweeks', history };
+
+      const totals = pastResult.data.find(row => row.season_id === season.id);
+      if (totals) return { season, source: 'totals', totals };
+
+      return null;
+    })
+    .filter(Boolean)
+    .map(({ season, source, history, totals }) => ({
+      season_id: season.id,
+      season_name: season.name,
+      is_current: season.is_current,
+      source,
+      summary: history ? summariseHistory(history) : {
+        total_gameweeks: null,
+        total_points: totals.total_points,
+        total_minutes: totals.minutes,
+        total_goals: totals.goals_scored,
+        total_assists: totals.assists,
+        total_clean_sheets: totals.clean_sheets,
+        total_bonus: totals.bonus,
+        average_points: null,
+        start_cost: totals.start_cost / 10,
+        end_cost: totals.end_cost / 10
+      },
+      history: history || []
+    }));
+}
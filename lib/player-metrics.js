@@ -0,0 +1,166 @@
+/**
+ * Derived player metrics over a gameweek range
+ *
+ * Built from raw player_gameweek_stats rows so the frontend doesn't have to
+ * recompute them for every table view:
+ * - per 90 rates
+ * - xG/xA over- or under-performance (actual minus expected)
+ * - xGI and points per £m, using the player's latest `value` in the range
+ * - home/away splits
+ * - rolling last-N gameweek windows
+ */
+
+import { fetchAllRows } from './paginate.js';
+import { round } from './stats.js';
+
+export const METRIC_FIELDS = [
+  'total_points',
+  'minutes',
+  'goals_scored',
+  'assists',
+  'clean_sheets',
+  'goals_conceded',
+  'bonus',
+  'bps',
+  'saves',
+  'expected_goals',
+  'expected_assists',
+  'expected_goal_involvements',
+  'expected_goals_conceded'
+];
+
+export const PER_90_FIELDS = [
+  'total_points',
+  'goals_scored',
+  'assists',
+  'bonus',
+  'saves',
+  'expected_goals',
+  'expected_assists',
+  'expected_goal_involvements',
+  'expected_goals_conceded'
+];
+
+export const MAX_WINDOW = 10;
+
+/**
+ * Fetch per-gameweek rows for players in a gameweek range
+ */
+export async function getPlayerGameweekRows(supabase, { playerIds, startGW, endGW }) {
+  return fetchAllRows(() => supabase
+    .from('player_gameweek_stats')
+    .select(`player_id, gameweek_id, was_home, value, ${METRIC_FIELDS.join(', ')}`)
+    .in('player_id', playerIds)
+    .gte('gameweek_id', startGW)
+    .lte('gameweek_id', endGW)
+    .order('player_id', { ascending: true })
+    .order('gameweek_id', { ascending: true }));
+}
+
+/**
+ * Sum METRIC_FIELDS over rows, plus appearances (rows with minutes)
+ */
+export function sumRows(rows) {
+  const totals = { appearances: rows.filter(row => row.minutes > 0).length };
+  METRIC_FIELDS.forEach(field => {
+    totals[field] = round(rows.reduce((sum, row) => sum + (parseFloat(row[field]) || 0), 0), 2);
+  });
+  return totals;
+}
+
+/**
+ * Per 90 rates (null without minutes)
+ */
+export function per90(totals) {
+  const rates = {};
+  PER_90_FIELDS.forEach(field => {
+    rates[field] = totals.minutes > 0 ? round((totals[field] * 90) / totals.minutes, 2) : null;
+  });
+  return rates;
+}
+
+/**
+ * Finishing and value metrics
+ *
+ * @param {Object} totals - From sumRows
+ * @param {number|null} value - Price in tenths of £m (FPL `value`)
+ */
+export function performanceMetrics(totals, value) {
+  const price = value ? value / 10 : null;
+  const goalInvolvements = totals.goals_scored + totals.assists;
+
+  return {
+    goals_minus_xg: round(totals.goals_scored - totals.expected_goals, 2),
+    assists_minus_xa: round(totals.assists - totals.expected_assists, 2),
+    goal_involvements_minus_xgi: round(goalInvolvements - totals.expected_goal_involvements, 2),
+    price,
+    xgi_per_million: price ? round(totals.expected_goal_involvements / price, 3) : null,
+    points_per_million: price ? round(totals.total_points / price, 2) : null
+  };
+}
+
+/**
+ * Totals and per 90 rates split by venue
+ */
+export function homeAwaySplits(rows) {
+  const split = (venueRows) => {
+    const totals = sumRows(venueRows);
+    return { gameweeks: venueRows.length, ...totals, per_90: per90(totals) };
+  };
+
+  return {
+    home: split(rows.filter(row => row.was_home)),
+    away: split(rows.filter(row => !row.was_home))
+  };
+}
+
+/**
+ * Trailing windows of `window` gameweeks, one per end gameweek from
+ * startGW + window - 1 to endGW (double gameweek rows are summed together)
+ */
+export function rollingWindows(rows, { startGW, endGW, window }) {
+  const windows = [];
+
+  for (let to = Math.min(startGW + window - 1, endGW); to <= endGW; to++) {
+    const from = Math.max(startGW, to - window + 1);
+    const totals = sumRows(rows.filter(row => row.gameweek_id >= from && row.gameweek_id <= to));
+    windows.push({ from, to, ...totals, per_90: per90(totals) });
+  }
+
+  return windows;
+}
+
+/**
+ * Metrics for one player
+ *
+ * @param {Array} rows - The player's rows from getPlayerGameweekRows (ordered by gameweek)
+ * @param {Object} options
+ * @param {boolean} options.rates - Include per 90, xG performance and value metrics
+ * @param {boolean} options.splits - Include home/away splits
+ * @param {number} options.window - Include rolling windows of this many gameweeks
+ * @param {number} options.startGW
+ * @param {number} options.endGW
+ */
+export function buildPlayerMetrics(rows, { rates, splits, window, startGW, endGW }) {
+  const metrics = {};
+  const totals = sumRows(rows);
+
+  if (rates) {
+    const latestValue = [...rows].reverse().find(row => row.value)?.value ?? null;
+    metrics.per_90 = per90(totals);
+    Object.assign(metrics, performanceMetrics(totals, latestValue));
+  }
+
+  if (splits) {
+    metrics.splits = homeAwaySplits(rows);
+  }
+
+  if (window) {
+    metrics.rolling = {
+      window,
+      windows: rollingWindows(rows, { startGW, endGW, window })
+    };
+  }
+
+  return metrics;
+}
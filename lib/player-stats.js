@@ -0,0 +1,181 @@
+/**
+ * player_gameweek_stats helpers
+ *
+ * - mapGameweekStats: FPL element-summary history entry → table row
+ * - createStatsBatcher: accumulates rows and upserts them in large batches
+ *   (one round trip per batch instead of one per player per gameweek),
+ *   merging a double gameweek's two fixtures into one row
+ */
+
+export const STATS_BATCH_SIZE = 500;
+
+/**
+ * Map one entry of an element-summary `history` array to a player_gameweek_stats row
+ */
+export function mapGameweekStats(playerId, gw) {
+  return {
+    player_id: playerId,
+    gameweek_id: gw.round,
+    opponent_team: gw.opponent_team,
+    was_home: gw.was_home,
+    kickoff_time: gw.kickoff_time,
+    total_points: gw.total_points,
+    minutes: gw.minutes,
+    goals_scored: gw.goals_scored,
+    assists: gw.assists,
+    clean_sheets: gw.clean_sheets,
+    goals_conceded: gw.goals_conceded,
+    bonus: gw.bonus,
+    bps: gw.bps,
+    own_goals: gw.own_goals || 0,
+    penalties_saved: gw.penalties_saved || 0,
+    penalties_missed: gw.penalties_missed || 0,
+    yellow_cards: gw.yellow_cards || 0,
+    red_cards: gw.red_cards || 0,
+    saves: gw.saves || 0,
+    expected_goals: gw.expected_goals || 0,
+    expected_assists: gw.expected_assists || 0,
+    expected_goal_involvements: gw.expected_goal_involvements || 0,
+    expected_goals_conceded: gw.expected_goals_conceded || 0,
+    value: gw.value,
+    selected: gw.selected,
+    transfers_in: gw.transfers_in || 0,
+    transfers_out: gw.transfers_out || 0,
+    influence: gw.influence || 0,
+    creativity: gw.creativity || 0,
+    threat: gw.threat || 0,
+    ict_index: gw.ict_index || 0
+  };
+}
+
+const rowKey = (row) => ({ player_id: row.player_id, gameweek_id: row.gameweek_id });
+
+// Per-fixture stats that add up across a double gameweek. Everything else
+// (value, selected, transfers, opponent, kickoff) is taken from the later fixture.
+const SUMMED_FIELDS = [
+  'total_points', 'minutes', 'goals_scored', 'assists', 'clean_sheets',
+  'goals_conceded', 'bonus', 'bps', 'own_goals', 'penalties_saved',
+  'penalties_missed', 'yellow_cards', 'red_cards', 'saves'
+];
+const SUMMED_DECIMAL_FIELDS = [
+  'expected_goals', 'expected_assists', 'expected_goal_involvements',
+  'expected_goals_conceded', 'influence', 'creativity', 'threat', 'ict_index'
+];
+
+/**
+ * Merge two rows for the same player and gameweek (a double gameweek: FPL's
+ * history has one entry per fixture, the table one row per gameweek)
+ */
+function mergeGameweekStats(earlier, later) {
+  const merged = { ...later };
+
+  SUMMED_FIELDS.forEach(field => {
+    merged[field] = (earlier[field] || 0) + (later[field] || 0);
+  });
+  SUMMED_DECIMAL_FIELDS.forEach(field => {
+    const sum = parseFloat(earlier[field] || 0) + parseFloat(later[field] || 0);
+    merged[field] = parseFloat(sum.toFixed(2));
+  });
+
+  return merged;
+}
+
+/**
+ * Upsert one batch. If the batch is rejected, retry its rows one by one so the
+ * good rows still land and the failing ones are identified.
+ */
+async function upsertBatch(supabase, rows, batchNumber) {
+  const { error } = await supabase
+    .from('player_gameweek_stats')
+    .upsert(rows, { onConflict: 'player_id,gameweek_id' });
+
+  if (!error) {
+    return { upserted: rows.length, failedRows: [] };
+  }
+
+  console.error(`  ✗ Stats batch ${batchNumber} (${rows.length} rows) failed: ${error.message} - retrying rows individually`);
+
+  let upserted = 0;
+  const failedRows = [];
+
+  for (const row of rows) {
+    const { error: rowError } = await supabase
+      .from('player_gameweek_stats')
+      .upsert(row, { onConflict: 'player_id,gameweek_id' });
+
+    if (rowError) {
+      failedRows.push({ ...rowKey(row), batch: batchNumber, error: rowError.message });
+    } else {
+      upserted++;
+    }
+  }
+
+  console.error(`  ✗ Stats batch ${batchNumber}: ${failedRows.length} rows failed, ${upserted} recovered`);
+
+  return { upserted, failedRows };
+}
+
+/**
+ * Create a batcher that collects player_gameweek_stats rows and upserts them in batches
+ *
+ * Usage:
+ *   const batcher = createStatsBatcher(supabase);
+ *   batcher.add(history.map(gw => mapGameweekStats(player.id, gw)));
+ *   await batcher.flushFull();  // upsert any complete batches (call between fetches)
+ *   const result = await batcher.flush();  // upsert everything left
+ *   // result: { upserted, batches, failedRows: [{ player_id, gameweek_id, batch, error }] }
+ */
+export function createStatsBatcher(supabase, { batchSize = STATS_BATCH_SIZE } = {}) {
+  let pending = [];
+  // player_id:gameweek_id → index in pending, so double gameweek rows merge
+  // instead of landing twice in one upsert (Postgres rejects that)
+  const pendingIndex = new Map();
+  const result = { upserted: 0, batches: 0, failedRows: [] };
+
+  const keyOf = (row) => `${row.player_id}:${row.gameweek_id}`;
+
+  async function upsertNext(count) {
+    const rows = pending.slice(0, count);
+    pending = pending.slice(count);
+    pendingIndex.clear();
+    pending.forEach((row, index) => pendingIndex.set(keyOf(row), index));
+    result.batches++;
+
+    const { upserted, failedRows } = await upsertBatch(supabase, rows, result.batches);
+    result.upserted += upserted;
+    result.failedRows.push(...failedRows);
+  }
+
+  return {
+    add(rows) {
+      rows.forEach(row => {
+        const key = keyOf(row);
+        if (pendingIndex.has(key)) {
+          const index = pendingIndex.get(key);
+          pending[index] = mergeGameweekStats(pending[index], row);
+        } else {
+          pendingIndex.set(key, pending.length);
+          pending.push(row);
+        }
+      });
+    },
+
+    get pendingCount() {
+      return pending.length;
+    },
+
+    async flushFull() {
+      while (pending.length >= batchSize) {
+        await upsertNext(batchSize);
+      }
+      return result;
+    },
+
+    async flush() {
+      while (pending.length > 0) {
+        await upsertNext(batchSize);
+      }
+      return result;
+    }
+  };
+}
@@ -0,0 +1,346 @@
+/**
+ * Expected points projections
+ *
+ * Estimates each player's expected FPL points for every upcoming fixture from:
+ * - Recent history in player_gameweek_stats (last PROJECTION_HISTORY finished
+ *   gameweeks, recency weighted): minutes likelihood, xG/xA, bonus, saves and
+ *   card rates per 90
+ * - Opponent strength from team_fdr_calculations (venue-split xG/xGC per 90
+ *   relative to the league average)
+ * - Position-specific FPL scoring rules (SCORING)
+ *
+ * Clean sheets and goals conceded use a Poisson model: the team is expected to
+ * concede its own xGC per 90 scaled by the opponent's attacking strength.
+ *
+ * Projections are written per player per fixture to player_projections by
+ * /api/sync/projections, so reads (/api/players/projections) are a single query.
+ *
+ * Table: player_projections
+ *   player_id               integer  - players.id
+ *   fixture_id              integer  - fixtures.id
+ *   gameweek_id             integer
+ *   team_id                 integer
+ *   opponent_team           integer
+ *   was_home                boolean
+ *   expected_points         numeric
+ *   expected_minutes        numeric
+ *   probability_appearance  numeric  - chance of playing at all
+ *   probability_60          numeric  - chance of playing 60+ minutes
+ *   clean_sheet_probability numeric
+ *   components              jsonb    - points by source (appearance, goals, assists, ...)
+ *   calculated_at           timestamptz
+ *   primary key (player_id, fixture_id)
+ */
+
+import { fetchAllRows } from './paginate.js';
+
+export const PROJECTION_HISTORY = 10;
+export const DEFAULT_PROJECTION_HORIZON = 6;
+
+// Weight of a gameweek N weeks before the latest one = RECENCY_DECAY^N
+const RECENCY_DECAY = 0.85;
+
+// Opponent multipliers are clamped so one extreme team can't dominate
+const MIN_MULTIPLIER = 0.5;
+const MAX_MULTIPLIER = 2;
+
+// Used when a team has no FDR calculation yet
+const DEFAULT_EXPECTED_CONCEDED = 1.3;
+
+// FPL scoring rules by element_type (1 GKP, 2 DEF, 3 MID, 4 FWD)
+export const SCORING = {
+  appearance: 1,       // playing at all
+  appearance_60: 1,    // extra point for 60+ minutes
+  goal: { 1: 10, 2: 6, 3: 5, 4: 4 },
+  assist: 3,
+  clean_sheet: { 1: 4, 2: 4, 3: 1, 4: 0 },
+  goals_conceded_per_2: { 1: -1, 2: -1, 3: 0, 4: 0 },
+  saves_per_3: 1,
+  yellow_card: -1,
+  red_card: -3
+};
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+const clamp = (value) => Math.min(MAX_MULTIPLIER, Math.max(MIN_MULTIPLIER, value));
+
+/**
+ * Recency-weighted minutes likelihood and per-90 rates for each player
+ *
+ * @param {Array} statsRows - player_gameweek_stats rows
+ * @param {number} lastGameweek - Latest gameweek in the rows (weight 1)
+ * @returns {Map<number, Object>} playerId → baseline
+ */
+export function buildPlayerBaselines(statsRows, lastGameweek) {
+  const totals = new Map();
+
+  statsRows.forEach(row => {
+    const weight = RECENCY_DECAY ** (lastGameweek - row.gameweek_id);
+    const minutes = row.minutes || 0;
+    const t = totals.get(row.player_id) || {
+      weight: 0, played: 0, played60: 0, minutes: 0,
+      xg: 0, xa: 0, bonus: 0, saves: 0, yellow: 0, red: 0
+    };
+
+    t.weight += weight;
+    if (minutes > 0) t.played += weight;
+    if (minutes >= 60) t.played60 += weight;
+    t.minutes += minutes * weight;
+    t.xg += parseFloat(row.expected_goals || 0) * weight;
+    t.xa += parseFloat(row.expected_assists || 0) * weight;
+    t.bonus += (row.bonus || 0) * weight;
+    t.saves += (row.saves || 0) * weight;
+    t.yellow += (row.yellow_cards || 0) * weight;
+    t.red += (row.red_cards || 0) * weight;
+
+    totals.set(row.player_id, t);
+  });
+
+  const baselines = new Map();
+
+  totals.forEach((t, playerId) => {
+    // At least 90 weighted minutes in the denominator so a cameo doesn't produce huge rates
+    const per90 = (value) => (value / Math.max(t.minutes, 90)) * 90;
+
+    baselines.set(playerId, {
+      probability_appearance: t.played / t.weight,
+      probability_60: t.played60 / t.weight,
+      minutes_when_playing: t.played > 0 ? t.minutes / t.played : 0,
+      xg_per_90: per90(t.xg),
+      xa_per_90: per90(t.xa),
+      bonus_per_90: per90(t.bonus),
+      saves_per_90: per90(t.saves),
+      yellow_per_90: per90(t.yellow),
+      red_per_90: per90(t.red)
+    });
+  });
+
+  return baselines;
+}
+
+/**
+ * Opponent strength from team_fdr_calculations rows
+ *
+ * @returns {Function} (teamId, opponentId, isHome) → { attackMultiplier, expectedConceded }
+ */
+export function buildTeamStrength(calculations) {
+  const byTeam = new Map(calculations.map(calc => [calc.team_id, calc]));
+  const average = (column) => {
+    const values = calculations.map(calc => parseFloat(calc[column] || 0)).filter(v => v > 0);
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  };
+
+  const averages = {
+    home_xg_per_90: average('home_xg_per_90'),
+    away_xg_per_90: average('away_xg_per_90'),
+    home_xgc_per_90: average('home_xgc_per_90'),
+    away_xgc_per_90: average('away_xgc_per_90')
+  };
+
+  const relative = (calc, column) => {
+    const value = parseFloat(calc?.[column] || 0);
+    return value > 0 && averages[column] ? clamp(value / averages[column]) : 1;
+  };
+
+  return (teamId, opponentId, isHome) => {
+    const team = byTeam.get(teamId);
+    const opponent = byTeam.get(opponentId);
+    const teamVenue = isHome ? 'home' : 'away';
+    const opponentVenue = isHome ? 'away' : 'home';
+
+    // How leaky the opponent's defence is at their venue for this fixture
+    const attackMultiplier = relative(opponent, `${opponentVenue}_xgc_per_90`);
+
+    // Our own xGC at this venue, scaled by how dangerous the opponent's attack is
+    const ownConceded = parseFloat(team?.[`${teamVenue}_xgc_per_90`] || 0) || DEFAULT_EXPECTED_CONCEDED;
+    const expectedConceded = ownConceded * relative(opponent, `${opponentVenue}_xg_per_90`);
+
+    return { attackMultiplier, expectedConceded };
+  };
+}
+
+function poisson(k, lambda) {
+  let factorial = 1;
+  for (let i = 2; i <= k; i++) factorial *= i;
+  return (Math.exp(-lambda) * lambda ** k) / factorial;
+}
+
+// Expected value of floor(goals conceded / 2) - FPL deducts 1 point per 2 conceded
+function expectedConcededPairs(lambda) {
+  let total = 0;
+  for (let k = 2; k <= 12; k++) {
+    total += Math.floor(k / 2) * poisson(k, lambda);
+  }
+  return total;
+}
+
+/**
+ * Expected points for one player in one fixture
+ *
+ * @param {Object} baseline - From buildPlayerBaselines
+ * @param {number} elementType - 1 GKP, 2 DEF, 3 MID, 4 FWD
+ * @param {Object} strength - { attackMultiplier, expectedConceded } from buildTeamStrength
+ */
+export function projectFixture(baseline, elementType, { attackMultiplier, expectedConceded }) {
+  const pPlay = baseline.probability_appearance;
+  const p60 = baseline.probability_60;
+  const minutesShare = Math.min(baseline.minutes_when_playing, 90) / 90;
+  const onPitch = pPlay * minutesShare;
+  const cleanSheetProbability = Math.exp(-expectedConceded);
+
+  const components = {
+    appearance: pPlay * SCORING.appearance + p60 * SCORING.appearance_60,
+    goals: onPitch * baseline.xg_per_90 * attackMultiplier * SCORING.goal[elementType],
+    assists: onPitch * baseline.xa_per_90 * attackMultiplier * SCORING.assist,
+    clean_sheet: p60 * cleanSheetProbability * SCORING.clean_sheet[elementType],
+    goals_conceded: p60 * expectedConcededPairs(expectedConceded) * SCORING.goals_conceded_per_2[elementType],
+    saves: elementType === 1 ? onPitch * (baseline.saves_per_90 / 3) * SCORING.saves_per_3 : 0,
+    bonus: onPitch * baseline.bonus_per_90,
+    cards: onPitch * (baseline.yellow_per_90 * SCORING.yellow_card + baseline.red_per_90 * SCORING.red_card)
+  };
+
+  const expectedPoints = Object.values(components).reduce((sum, v) => sum + v, 0);
+
+  return {
+    expected_points: round(expectedPoints),
+    expected_minutes: round(pPlay * baseline.minutes_when_playing, 1),
+    probability_appearance: round(pPlay, 3),
+    probability_60: round(p60, 3),
+    clean_sheet_probability: round(cleanSheetProbability, 3),
+    components: Object.fromEntries(Object.entries(components).map(([key, value]) => [key, round(value)]))
+  };
+}
+
+/**
+ * Calculate projections for every player and fixture in a gameweek window
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number} options.from - First gameweek (inclusive)
+ * @param {number} options.to - Last gameweek (inclusive)
+ * @returns {Promise<Object>} { rows, players_projected, fixtures, history: { from, to } }
+ */
+export async function calculateProjections(supabase, { from, to }) {
+  const { data: finished, error: gwError } = await supabase
+    .from('gameweeks')
+    .select('id')
+    .eq('finished', true)
+    .order('id', { ascending: false })
+    .limit(1);
+
+  if (gwError) {
+    throw new Error(`Failed to fetch gameweeks: ${gwError.message}`);
+  }
+
+  const lastFinished = finished?.[0]?.id;
+  if (!lastFinished) {
+    throw new Error('No finished gameweeks yet - nothing to project from');
+  }
+
+  const historyFrom = Math.max(1, lastFinished - PROJECTION_HISTORY + 1);
+
+  const [stats, players, fixtures, calculations] = await Promise.all([
+    fetchAllRows(() => supabase
+      .from('player_gameweek_stats')
+      .select('player_id, gameweek_id, minutes, expected_goals, expected_assists, bonus, saves, yellow_cards, red_cards')
+      .gte('gameweek_id', historyFrom)
+      .lte('gameweek_id', lastFinished)
+      .order('player_id', { ascending: true })
+      .order('gameweek_id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('players')
+      .select('id, team_id, element_type')
+      .order('id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('fixtures')
+      .select('id, event, team_h, team_a')
+      .gte('event', from)
+      .lte('event', to)
+      .order('id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('team_fdr_calculations')
+      .select('team_id, home_xg_per_90, away_xg_per_90, home_xgc_per_90, away_xgc_per_90')
+      .order('team_id', { ascending: true }))
+  ]);
+
+  const baselines = buildPlayerBaselines(stats, lastFinished);
+  const strengthFor = buildTeamStrength(calculations);
+  const calculatedAt = new Date().toISOString();
+  const rows = [];
+
+  for (const player of players) {
+    const baseline = baselines.get(player.id);
+    if (!baseline || !player.team_id) continue;
+
+    for (const fixture of fixtures) {
+      if (fixture.team_h !== player.team_id && fixture.team_a !== player.team_id) continue;
+
+      const isHome = fixture.team_h === player.team_id;
+      const opponentId = isHome ? fixture.team_a : fixture.team_h;
+
+      rows.push({
+        player_id: player.id,
+        fixture_id: fixture.id,
+        gameweek_id: fixture.event,
+        team_id: player.team_id,
+        opponent_team: opponentId,
+        was_home: isHome,
+        ...projectFixture(baseline, player.element_type, strengthFor(player.team_id, opponentId, isHome)),
+        calculated_at: calculatedAt
+      });
+    }
+  }
+
+  return {
+    rows,
+    calculated_at: calculatedAt,
+    players_projected: new Set(rows.map(row => row.player_id)).size,
+    fixtures: fixtures.length,
+    history: { from: historyFrom, to: lastFinished }
+  };
+}
+
+/**
+ * Persisted projections summed per player per gameweek
+ *
+ * @returns {Promise<Map<number, Object>>} playerId → { total, calculated_at, gameweeks: { [gw]: { expected_points, fixtures: [...] } } }
+ */
+export async function getStoredProjections(supabase, { from, to, playerIds = null }) {
+  const rows = await fetchAllRows(() => {
+    let query = supabase
+      .from('player_projections')
+      .select('player_id, fixture_id, gameweek_id, opponent_team, was_home, expected_points, expected_minutes, probability_appearance, probability_60, clean_sheet_probability, components, calculated_at')
+      .gte('gameweek_id', from)
+      .lte('gameweek_id', to)
+      .order('player_id', { ascending: true })
+      .order('fixture_id', { ascending: true });
+
+    if (playerIds) query = query.in('player_id', playerIds);
+    return query;
+  });
+
+  const byPlayer = new Map();
+
+  rows.forEach(row => {
+    const entry = byPlayer.get(row.player_id) || { total: 0, calculated_at: row.calculated_at, gameweeks: {} };
+    const gameweek = entry.gameweeks[row.gameweek_id] || (entry.gameweeks[row.gameweek_id] = { expected_points: 0, fixtures: [] });
+    const points = parseFloat(row.expected_points || 0);
+
+    gameweek.expected_points = round(gameweek.expected_points + points);
+    gameweek.fixtures.push({
+      fixture_id: row.fixture_id,
+      opponent_team: row.opponent_team,
+      was_home: row.was_home,
+      expected_points: points,
+      expected_minutes: parseFloat(row.expected_minutes || 0),
+      probability_appearance: parseFloat(row.probability_appearance || 0),
+      probability_60: parseFloat(row.probability_60 || 0),
+      clean_sheet_probability: parseFloat(row.clean_sheet_probability || 0),
+      components: row.components
+    });
+    entry.total = round(entry.total + points);
+
+    byPlayer.set(row.player_id, entry);
+  });
+
+  return byPlayer;
+}
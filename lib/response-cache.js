@@ -0,0 +1,252 @@
+/**
+ * FPL response cache
+ *
+ * Caches FPL API responses by path (e.g. `bootstrap-static/`,
+ * `element-summary/123/`) so identical requests through the proxy don't each
+ * hit FPL. Each entry carries an ETag (hash of the body) and an expiry from a
+ * per-endpoint TTL - long for data about finished gameweeks, short for live
+ * data.
+ *
+ * Only the endpoints in ENDPOINT_TTLS are cached, under a normalised key
+ * (trailing slash, query string dropped except the parameter the endpoint
+ * takes, e.g. `fixtures/?event=12`), so arbitrary paths or cache-busting
+ * query strings can't fill the store. Anything else is fetched uncached.
+ *
+ * Stores are pluggable ({ get(key), set(key, entry) }):
+ * - createMemoryStore(): per-process, for local dev (lost on cold starts)
+ * - createSupabaseStore(supabase): fpl_api_cache table, shared by every
+ *   serverless instance, for production
+ *
+ * Usage:
+ *   const cache = createResponseCache({ store: createMemoryStore() });
+ *   const { data, etag, maxAge, hit } = await cache.fetch('bootstrap-static/');
+ */
+
+import { createHash } from 'crypto';
+import fpl from './fpl-client.js';
+
+export const FINISHED_GAMEWEEK_TTL_SECONDS = 24 * 60 * 60;
+
+// Matched against the path without its query string; first match wins.
+// `gameweek` marks paths whose data stops changing once their gameweek is
+// finished and FPL has checked the data. `query` is the one integer query
+// parameter kept in the cache key.
+const ENDPOINT_TTLS = [
+  { pattern: /^bootstrap-static\/$/, ttl: 300 },
+  { pattern: /^fixtures\/$/, ttl: 60, query: 'event' },
+  { pattern: /^event\/(\d+)\/live\/$/, ttl: 60, gameweek: true },
+  { pattern: /^element-summary\/\d+\/$/, ttl: 1800 },
+  { pattern: /^entry\/\d+\/event\/(\d+)\/picks\/$/, ttl: 60, gameweek: true },
+  { pattern: /^entry\/\d+\/history\/$/, ttl: 300 },
+  { pattern: /^entry\/\d+\/$/, ttl: 300 },
+  { pattern: /^leagues-classic\/\d+\/standings\/$/, ttl: 300, query: 'page_standings' }
+];
+
+const MAX_MEMORY_ENTRIES = 500;
+const SUPABASE_PRUNE_EVERY = 100;
+
+const pathOnly = (key) => key.split('?')[0];
+
+const ruleFor = (key) => ENDPOINT_TTLS.find(({ pattern }) => pattern.test(pathOnly(key)));
+
+/**
+ * Cache key for an FPL path, or null when the path isn't a cached endpoint
+ *
+ * @param {string} path - FPL API path, e.g. 'fixtures?event=12&t=1'
+ * @returns {string|null} e.g. 'fixtures/?event=12'
+ */
+export function cacheKeyFor(path) {
+  const [rawPath, queryString = ''] = path.replace(/^\/+/, '').split('?');
+  const base = rawPath.endsWith('/') ? rawPath : `${rawPath}/`;
+
+  const rule = ruleFor(base);
+  if (!rule) return null;
+
+  const value = rule.query && new URLSearchParams(queryString).get(rule.query);
+  if (value && /^\d+$/.test(value)) {
+    return `${base}?${rule.query}=${parseInt(value)}`;
+  }
+
+  return base;
+}
+
+/**
+ * TTL for a cache key (see cacheKeyFor)
+ *
+ * @param {string} key - Cache key, e.g. 'event/12/live/'
+ * @param {Set<number>} finishedGameweeks - Gameweeks that are finished and data-checked
+ * @returns {number|null} Seconds, or null when the key isn't a cached endpoint
+ */
+export function ttlFor(key, finishedGameweeks = new Set()) {
+  const rule = ruleFor(key);
+  if (!rule) return null;
+
+  if (rule.gameweek) {
+    const gameweek = parseInt(pathOnly(key).match(rule.pattern)[1]);
+    if (finishedGameweeks.has(gameweek)) return FINISHED_GAMEWEEK_TTL_SECONDS;
+  }
+
+  return rule.ttl;
+}
+
+/**
+ * True when the key's TTL depends on whether its gameweek is finished
+ */
+export function isGameweekScoped(key) {
+  return Boolean(ruleFor(key)?.gameweek);
+}
+
+/**
+ * In-memory store, evicting the oldest entry past MAX_MEMORY_ENTRIES
+ */
+export function createMemoryStore({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (new Date(entry.expires_at) <= new Date()) {
+        entries.delete(key);
+        return null;
+      }
+
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Supabase store (fpl_api_cache table). Writes need the service key.
+ * Rows expired for over a day are pruned every SUPABASE_PRUNE_EVERY writes.
+ */
+export function createSupabaseStore(supabase, { table = 'fpl_api_cache' } = {}) {
+  let writes = 0;
+
+  return {
+    name: 'supabase',
+
+    async get(key) {
+      const { data, error } = await supabase
+        .from(table)
+        .select('body, etag, stored_at, expires_at')
+        .eq('key', key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to read ${table}: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    async set(key, entry) {
+      const { error } = await supabase
+        .from(table)
+        .upsert({ key, ...entry }, { onConflict: 'key' });
+
+      if (error) {
+        throw new Error(`Failed to write ${table}: ${error.message}`);
+      }
+
+      if (++writes % SUPABASE_PRUNE_EVERY === 0) {
+        const cutoff = new Date(Date.now() - FINISHED_GAMEWEEK_TTL_SECONDS * 1000).toISOString();
+        const { error: pruneError } = await supabase.from(table).delete().lt('expires_at', cutoff);
+        if (pruneError) console.warn(`  ⚠ Failed to prune ${table}: ${pruneError.message}`);
+      }
+    }
+  };
+}
+
+const etagFor = (body) => `"${createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+
+const secondsUntil = (timestamp) => Math.max(0, Math.floor((new Date(timestamp) - Date.now()) / 1000));
+
+/**
+ * Cache in front of the FPL client
+ *
+ * Store errors are logged and treated as a miss, so a broken cache never
+ * takes the proxy down with it.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - Memory or Supabase store
+ * @param {Object} options.client - FPL client (default: shared client from lib/fpl-client.js)
+ */
+export function createResponseCache({ store, client = fpl }) {
+  async function read(key) {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.warn(`  ⚠ Cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async function write(key, entry) {
+    try {
+      await store.set(key, entry);
+    } catch (error) {
+      console.warn(`  ⚠ Cache write failed for ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch an FPL path through the cache. Paths that aren't a cached endpoint
+   * go straight to FPL (cached: false, no etag).
+   *
+   * @param {string} path - FPL API path, e.g. 'element-summary/123/'
+   * @returns {Promise<Object>} { data, etag, maxAge, hit, cached }
+   */
+  async function fetchPath(path) {
+    const key = cacheKeyFor(path);
+    if (!key) {
+      const data = await client.request(path.replace(/^\/+/, ''));
+      return { data, etag: null, maxAge: 0, hit: false, cached: false };
+    }
+
+    const cached = await read(key);
+
+    if (cached) {
+      return { data: cached.body, etag: cached.etag, maxAge: secondsUntil(cached.expires_at), hit: true, cached: true };
+    }
+
+    const data = await client.request(key);
+
+    // Gameweek-scoped TTLs need to know which gameweeks are finished (bootstrap-static, itself cached)
+    let finishedGameweeks;
+    if (isGameweekScoped(key)) {
+      const bootstrap = await fetchPath('bootstrap-static/');
+      finishedGameweeks = new Set(bootstrap.data.events
+        .filter(event => event.finished && event.data_checked)
+        .map(event => event.id));
+    }
+
+    const ttl = ttlFor(key, finishedGameweeks);
+    const storedAt = new Date();
+    const entry = {
+      body: data,
+      etag: etagFor(data),
+      stored_at: storedAt.toISOString(),
+      expires_at: new Date(storedAt.getTime() + ttl * 1000).toISOString()
+    };
+
+    await write(key, entry);
+
+    return { data, etag: entry.etag, maxAge: ttl, hit: false, cached: true };
+  }
+
+  return { fetch: fetchPath, store };
+}
@@ -0,0 +1,416 @@
+/**
+ * Season rollover
+ *
+ * Moves the database from a finished season to the one bootstrap-static now
+ * describes. FPL reuses team IDs, gameweek numbers, player IDs and fixture IDs
+ * every season, so the current-season tables are reset rather than appended to:
+ *
+ * 1. Archive player_gameweek_stats into player_gameweek_history (keyed by
+ *    players.code, see lib/seasons.js) so last season stays queryable
+ * 2. Clear season-scoped tables: projections, stats, FDR calculations, model
+ *    ratings, last season's weekly snapshots and fixtures
+ * 3. Create the new season row and make it current
+ * 4. Load the new teams (promoted/relegated) with a seeded FDR baseline,
+ *    the new gameweeks, players and fixtures
+ *
+ * prepareRollover() does all the reads and returns a plan (the dry run);
+ * applyRollover() writes it.
+ *
+ * There's no transaction across these steps, so applyRollover records each
+ * completed step in a 'rollover' sync_runs row (cursor). A re-run after a
+ * failure or timeout picks that run up, skips the finished steps and reuses
+ * the FDR seeds stored in the cursor instead of re-seeding from a teams table
+ * that may already be half rewritten.
+ *
+ * FDR baseline: a team's final rating last season, pulled towards neutral
+ * (ratings regress between seasons). Promoted teams take the average baseline
+ * of the relegated teams they replace.
+ */
+
+import fpl from './fpl-client.js';
+import { fetchAllRows } from './paginate.js';
+import { mapFixture } from './fixtures.js';
+import { getCurrentSeason, ensureSeason } from './seasons.js';
+import { mapGameweekStats } from './player-stats.js';
+import { round } from './stats.js';
+import { getOpenRun, createRun, updateRun, addErrors } from './sync-runs.js';
+
+export const NEUTRAL_DIFFICULTY = 5.0;
+export const PRIOR_SEASON_WEIGHT = 0.7;
+
+const BATCH_SIZE = 500;
+const ROLLOVER_JOB = 'rollover';
+
+/**
+ * Season name ("2025/26") from the first gameweek's deadline
+ */
+export function seasonNameFor(bootstrap) {
+  const year = new Date(bootstrap.events[0].deadline_time).getUTCFullYear();
+  return `${year}/${String(year + 1).slice(2)}`;
+}
+
+const regress = (value) =>
+  round(NEUTRAL_DIFFICULTY + (parseFloat(value ?? NEUTRAL_DIFFICULTY) - NEUTRAL_DIFFICULTY) * PRIOR_SEASON_WEIGHT, 1);
+
+/**
+ * Seed next season's ratings from last season's, matched by team code
+ *
+ * @param {Array} previousTeams - teams rows ({ code, home_difficulty, away_difficulty, ... })
+ * @param {Array} newTeams - bootstrap-static teams
+ * @returns {Array} [{ id, code, name, short_name, home_difficulty, away_difficulty, source }]
+ */
+export function seedDifficulty(previousTeams, newTeams) {
+  const previousByCode = new Map(previousTeams.map(team => [team.code, team]));
+  const newCodes = new Set(newTeams.map(team => team.code));
+  const relegated = previousTeams.filter(team => !newCodes.has(team.code));
+
+  const average = (key) => (relegated.length > 0
+    ? round(relegated.reduce((sum, team) => sum + regress(team[key]), 0) / relegated.length, 1)
+    : NEUTRAL_DIFFICULTY);
+
+  return newTeams.map(team => {
+    const previous = previousByCode.get(team.code);
+    return {
+      id: team.id,
+      code: team.code,
+      name: team.name,
+      short_name: team.short_name,
+      home_difficulty: previous ? regress(previous.home_difficulty) : average('home_difficulty'),
+      away_difficulty: previous ? regress(previous.away_difficulty) : average('away_difficulty'),
+      source: previous ? 'prior_season' : 'promoted_average'
+    };
+  });
+}
+
+/**
+ * Build player_gameweek_history rows from the finished season's tables
+ *
+ * player_gameweek_stats has no fixture ID, so each row is matched to the
+ * fixture in that gameweek against the same opponent at the same venue.
+ */
+export function buildArchiveRows(seasonId, { stats, players, teams, fixtures }) {
+  const playersById = new Map(players.map(player => [player.id, player]));
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  const rows = [];
+  const unmatched = [];
+
+  for (const row of stats) {
+    const player = playersById.get(row.player_id);
+    const fixture = fixtures.find(f => f.event === row.gameweek_id &&
+      (row.was_home ? f.team_a === row.opponent_team : f.team_h === row.opponent_team));
+
+    if (!player || !fixture) {
+      unmatched.push({ player_id: row.player_id, gameweek_id: row.gameweek_id });
+      continue;
+    }
+
+    const { player_id: elementId, gameweek_id: gameweek, ...fields } = row;
+    const opponent = teamsById.get(row.opponent_team);
+
+    rows.push({
+      ...fields,
+      season_id: seasonId,
+      player_code: player.code,
+      element_id: elementId,
+      gameweek,
+      fixture_id: fixture.id,
+      web_name: player.web_name,
+      element_type: player.element_type,
+      team_id: player.team_id,
+      team_short_name: teamsById.get(player.team_id)?.short_name ?? null,
+      opponent_team_name: opponent?.name ?? null,
+      opponent_team_short_name: opponent?.short_name ?? null
+    });
+  }
+
+  return { rows, unmatched };
+}
+
+const mapPlayer = (player, seasonId) => ({
+  id: player.id,
+  code: player.code,
+  season_id: seasonId,
+  team_id: player.team,
+  web_name: player.web_name,
+  first_name: player.first_name,
+  second_name: player.second_name,
+  element_type: player.element_type,
+  now_cost: player.now_cost,
+  status: player.status,
+  chance_of_playing_next_round: player.chance_of_playing_next_round,
+  news: player.news || null
+});
+
+/**
+ * Read everything needed for a rollover and describe what it would change
+ *
+ * @returns {Promise<Object>} { plan, ... } - plan is safe to return as a dry run;
+ *                            pass the whole object to applyRollover
+ */
+export async function prepareRollover(supabase) {
+  const [previousSeason, bootstrap, newFixtures] = await Promise.all([
+    getCurrentSeason(supabase),
+    fpl.getBootstrapStatic(),
+    fpl.getFixtures()
+  ]);
+
+  const newSeasonName = seasonNameFor(bootstrap);
+
+  if (newSeasonName === previousSeason.name) {
+    return {
+      plan: {
+        up_to_date: true,
+        message: `Season ${previousSeason.name} is already current - nothing to roll over`
+      }
+    };
+  }
+
+  // An interrupted rollover to this season is resumed, not started again
+  const openRun = await getOpenRun(supabase, ROLLOVER_JOB);
+  const resumeRun = openRun?.cursor?.to_season === newSeasonName ? openRun : null;
+
+  const [teams, players, fixtures, stats] = await Promise.all([
+    fetchAllRows(() => supabase
+      .from('teams')
+      .select('id, code, name, short_name, home_difficulty, away_difficulty')
+      .order('id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('players')
+      .select('id, code, web_name, element_type, team_id')
+      .order('id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('fixtures')
+      .select('id, event, team_h, team_a')
+      .order('id', { ascending: true })),
+    fetchAllRows(() => supabase
+      .from('player_gameweek_stats')
+      .select('*')
+      .order('player_id', { ascending: true })
+      .order('gameweek_id', { ascending: true }))
+  ]);
+
+  // Keep only player_gameweek_stats columns (mapGameweekStats defines them)
+  const statColumns = Object.keys(mapGameweekStats(0, { round: 0 }));
+  const statsRows = stats.map(row => Object.fromEntries(statColumns.map(key => [key, row[key]])));
+
+  const archive = buildArchiveRows(previousSeason.id, { stats: statsRows, players, teams, fixtures });
+  const seededTeams = resumeRun?.cursor.seeded_teams ?? seedDifficulty(teams, bootstrap.teams);
+
+  const previousCodes = new Set(teams.map(team => team.code));
+  const newTeamCodes = new Set(bootstrap.teams.map(team => team.code));
+  const previousPlayersByCode = new Map(players.map(player => [player.code, player]));
+  const newPlayerCodes = new Set(bootstrap.elements.map(player => player.code));
+
+  const idChanges = bootstrap.elements
+    .filter(player => previousPlayersByCode.has(player.code) && previousPlayersByCode.get(player.code).id !== player.id)
+    .map(player => ({
+      code: player.code,
+      web_name: player.web_name,
+      old_id: previousPlayersByCode.get(player.code).id,
+      new_id: player.id
+    }));
+
+  const plan = {
+    up_to_date: false,
+    resume: resumeRun ? {
+      run_id: resumeRun.id,
+      started_at: resumeRun.started_at,
+      completed_steps: resumeRun.cursor.steps || []
+    } : null,
+    from_season: previousSeason,
+    to_season: { name: newSeasonName },
+    archive: {
+      rows: archive.rows.length,
+      unmatched_rows: archive.unmatched.length,
+      unmatched_sample: archive.unmatched.slice(0, 20)
+    },
+    teams: {
+      promoted: seededTeams.filter(team => !previousCodes.has(team.code)).map(({ id, name, short_name: shortName }) => ({ id, name, short_name: shortName })),
+      relegated: teams.filter(team => !newTeamCodes.has(team.code)).map(({ id, name, short_name: shortName }) => ({ id, name, short_name: shortName })),
+      seeded_difficulty: seededTeams
+    },
+    gameweeks: {
+      count: bootstrap.events.length,
+      first_deadline: bootstrap.events[0]?.deadline_time,
+      last_deadline: bootstrap.events[bootstrap.events.length - 1]?.deadline_time
+    },
+    players: {
+      total: bootstrap.elements.length,
+      returning: bootstrap.elements.filter(player => previousPlayersByCode.has(player.code)).length,
+      new: bootstrap.elements.filter(player => !previousPlayersByCode.has(player.code)).length,
+      departed: players.filter(player => !newPlayerCodes.has(player.code)).length,
+      id_changes: idChanges
+    },
+    fixtures: {
+      removed: fixtures.length,
+      loaded: newFixtures.length
+    },
+    cleared: [
+      'player_projections',
+      'player_gameweek_stats',
+      'team_fdr_calculations',
+      'team_fdr_model_ratings',
+      `fdr_weekly_snapshots (season ${previousSeason.name})`,
+      'live_player_points',
+      'live_events',
+      'fixtures',
+      'players'
+    ]
+  };
+
+  return { plan, previousSeason, newSeasonName, bootstrap, newFixtures, archiveRows: archive.rows, seededTeams, run: resumeRun };
+}
+
+async function upsertInBatches(supabase, table, rows, onConflict) {
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const { error } = await supabase
+      .from(table)
+      .upsert(rows.slice(i, i + BATCH_SIZE), { onConflict });
+
+    if (error) {
+      throw new Error(`Failed to write ${table} (rows ${i}-${i + BATCH_SIZE - 1}): ${error.message}`);
+    }
+  }
+}
+
+async function clearTable(supabase, table, column, filter = (query) => query.gte(column, 0)) {
+  const { error } = await filter(supabase.from(table).delete());
+
+  if (error) {
+    throw new Error(`Failed to clear ${table}: ${error.message}`);
+  }
+  console.log(`  ✓ Cleared ${table}`);
+}
+
+/**
+ * Write a prepared rollover. Steps run in order and stop at the first failure;
+ * the archive is written first so no finished-season data is lost. Each
+ * completed step is stored in the run's cursor so a re-run resumes after it.
+ *
+ * @param {Object} options
+ * @param {string} options.source - What triggered the run (stored in sync_runs)
+ * @returns {Promise<Object>} { new_season_id, run_id, steps: [step names completed by this call], skipped: [steps done earlier] }
+ */
+export async function applyRollover(supabase, rollover, { source = 'manual' } = {}) {
+  const { previousSeason, newSeasonName, bootstrap, newFixtures, archiveRows, seededTeams } = rollover;
+  const now = new Date().toISOString();
+
+  const run = rollover.run ?? await createRun(supabase, ROLLOVER_JOB, {
+    source,
+    cursor: { to_season: newSeasonName, steps: [], seeded_teams: seededTeams }
+  });
+  let cursor = { ...run.cursor, steps: run.cursor.steps || [] };
+  const steps = [];
+  const skipped = [];
+
+  async function step(name, write) {
+    if (cursor.steps.includes(name)) {
+      console.log(`  → Skipping ${name} (done in run ${run.id})`);
+      skipped.push(name);
+      return;
+    }
+
+    await write();
+    cursor = { ...cursor, steps: [...cursor.steps, name] };
+    await updateRun(supabase, run.id, { cursor });
+    steps.push(name);
+  }
+
+  console.log(`🔄 Rolling over ${previousSeason.name} → ${newSeasonName}${rollover.run ? ` (resuming run ${run.id})` : ''}...`);
+
+  try {
+    // Step 1: Archive the finished season
+    await step('archive', async () => {
+      await upsertInBatches(supabase, 'player_gameweek_history', archiveRows, 'season_id,player_code,fixture_id');
+      console.log(`  ✓ Archived ${archiveRows.length} gameweek rows`);
+    });
+
+    // Step 2: Clear season-scoped tables (children before the rows they reference)
+    await step('clear', async () => {
+      await clearTable(supabase, 'player_projections', 'player_id');
+      await clearTable(supabase, 'player_gameweek_stats', 'player_id');
+      await clearTable(supabase, 'team_fdr_calculations', 'team_id');
+      await clearTable(supabase, 'team_fdr_model_ratings', 'team_id');
+      await clearTable(supabase, 'fdr_weekly_snapshots', 'season_id', (query) => query.eq('season_id', previousSeason.id));
+      await clearTable(supabase, 'live_player_points', 'gameweek_id');
+      await clearTable(supabase, 'live_events', 'id');
+      await clearTable(supabase, 'fixtures', 'id');
+      await clearTable(supabase, 'players', 'id');
+    });
+
+    // Step 3: New season row (find-or-create, so safe to repeat)
+    const newSeasonId = await ensureSeason(supabase, newSeasonName);
+
+    // Step 4: Teams with seeded FDR, gameweeks, players, fixtures
+    await step('teams', async () => {
+      await upsertInBatches(supabase, 'teams', seededTeams.map(({ source: seedSource, ...team }) => ({ ...team, updated_at: now })), 'id');
+      console.log(`  ✓ Loaded ${seededTeams.length} teams with seeded FDR`);
+    });
+
+    await step('gameweeks', async () => {
+      await upsertInBatches(supabase, 'gameweeks', bootstrap.events.map(event => ({
+        id: event.id,
+        season_id: newSeasonId,
+        name: event.name,
+        deadline_time: event.deadline_time,
+        finished: event.finished,
+        is_current: event.is_current
+      })), 'id');
+      await clearTable(supabase, 'gameweeks', 'id', (query) => query.gt('id', bootstrap.events.length));
+      console.log(`  ✓ Loaded ${bootstrap.events.length} gameweeks`);
+    });
+
+    await step('players', async () => {
+      await upsertInBatches(supabase, 'players', bootstrap.elements.map(player => mapPlayer(player, newSeasonId)), 'id');
+      console.log(`  ✓ Loaded ${bootstrap.elements.length} players`);
+    });
+
+    await step('fixtures', async () => {
+      await upsertInBatches(supabase, 'fixtures', newFixtures.map(fixture => mapFixture(fixture, newSeasonId)), 'id');
+      console.log(`  ✓ Loaded ${newFixtures.length} fixtures`);
+    });
+
+    // Step 5: Switch the current season last, so a failed run leaves the old one current
+    await step('switch', async () => {
+      const { error: previousError } = await supabase
+        .from('seasons')
+        .update({ is_current: false })
+        .eq('id', previousSeason.id);
+
+      if (previousError) {
+        throw new Error(`Failed to close season ${previousSeason.name}: ${previousError.message}`);
+      }
+
+      const { error: currentError } = await supabase
+        .from('seasons')
+        .update({ is_current: true })
+        .eq('id', newSeasonId);
+
+      if (currentError) {
+        throw new Error(`Failed to open season ${newSeasonName}: ${currentError.message}`);
+      }
+    });
+
+    await updateRun(supabase, run.id, {
+      status: 'completed',
+      counts: {
+        archived_rows: rollover.plan.archive.rows,
+        players: rollover.plan.players.total,
+        fixtures: rollover.plan.fixtures.loaded
+      },
+      duration_ms: Date.now() - new Date(run.started_at).getTime(),
+      finished_at: new Date().toISOString()
+    });
+
+    console.log(`✅ Rolled over to ${newSeasonName} (season ${newSeasonId})`);
+
+    return { new_season_id: newSeasonId, run_id: run.id, steps, skipped };
+  } catch (error) {
+    // Leave the run open so the next attempt resumes from the last completed step
+    const errors = addErrors(run.errors, [error.message]);
+    await updateRun(supabase, run.id, { errors, error_count: errors.length }).catch(updateError => {
+      console.warn('  ⚠ Could not record rollover failure:', updateError.message);
+    });
+    throw error;
+  }
+}
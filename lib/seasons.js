@@ -0,0 +1,236 @@
+/**
+ * Seasons and archived player history
+ *
+ * The live tables (players, gameweeks, player_gameweek_stats) only hold the
+ * current season: players.id is FPL's element ID and gameweeks.id is the event
+ * number, both of which FPL reuses every season. Prior seasons live in:
+ * - player_gameweek_history: per-fixture rows imported from archived data files
+ * - player_season_history: season totals from element-summary `history_past`
+ *
+ * Both are keyed by players.code, FPL's permanent player ID, so a player's
+ * history can be linked across seasons (see scripts/import-past-seasons.js).
+ */
+
+import { fetchAllRows } from './paginate.js';
+import { mapGameweekStats } from './player-stats.js';
+
+/**
+ * Current season ({ id, name, is_current })
+ */
+export async function getCurrentSeason(supabase) {
+  const { data, error } = await supabase
+    .from('seasons')
+    .select('id, name, is_current')
+    .eq('is_current', true)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to get current season: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Resolve a seasonId query parameter to a season
+ *
+ * @param {string|number|undefined} seasonId - Defaults to the current season
+ * @returns {Promise<Object|null>} { id, name, is_current }, or null if it doesn't exist
+ */
+export async function resolveSeason(supabase, seasonId) {
+  if (seasonId === undefined || seasonId === null || seasonId === '') {
+    return getCurrentSeason(supabase);
+  }
+
+  const id = parseInt(seasonId);
+  if (isNaN(id)) return null;
+
+  const { data, error } = await supabase
+    .from('seasons')
+    .select('id, name, is_current')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get season ${id}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * All seasons, oldest first
+ */
+export async function getSeasons(supabase) {
+  const { data, error } = await supabase
+    .from('seasons')
+    .select('id, name, is_current')
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to get seasons: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Archive folder names use "2023-24", FPL's history_past and our seasons table "2023/24"
+ */
+export const seasonNameFromSlug = (slug) => slug.replace('-', '/');
+
+/**
+ * Find a season by name, creating it (not current) if missing
+ *
+ * @returns {Promise<number>} Season ID
+ */
+export async function ensureSeason(supabase, name) {
+  const { data: existing, error } = await supabase
+    .from('seasons')
+    .select('id')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up season ${name}: ${error.message}`);
+  }
+
+  if (existing) return existing.id;
+
+  const { data: created, error: insertError } = await supabase
+    .from('seasons')
+    .insert({ name, is_current: false })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to create season ${name}: ${insertError.message}`);
+  }
+
+  return created.id;
+}
+
+/**
+ * Last gameweek of a season: from the gameweeks table for the current season,
+ * from the archive otherwise (null if nothing has been imported)
+ */
+export async function getSeasonLastGameweek(supabase, season) {
+  const query = season.is_current
+    ? supabase.from('gameweeks').select('gameweek:id').order('id', { ascending: false }).limit(1)
+    : supabase.from('player_gameweek_history').select('gameweek').eq('season_id', season.id)
+      .order('gameweek', { ascending: false }).limit(1);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to get last gameweek of season ${season.name}: ${error.message}`);
+  }
+
+  return data[0]?.gameweek ?? null;
+}
+
+/**
+ * Map current player IDs to their permanent codes
+ *
+ * @returns {Promise<Map<number, number>>} id → code
+ */
+export async function getPlayerCodes(supabase, playerIds) {
+  const { data, error } = await supabase
+    .from('players')
+    .select('id, code')
+    .in('id', playerIds);
+
+  if (error) {
+    throw new Error(`Failed to get player codes: ${error.message}`);
+  }
+
+  return new Map(data.map(player => [player.id, player.code]));
+}
+
+/**
+ * Fetch archived per-fixture rows for a season
+ *
+ * Rows use the player_gameweek_stats column names (`gameweek` is aliased to
+ * gameweek_id) so lib/player-metrics.js works on them unchanged.
+ *
+ * @param {Object} options
+ * @param {number} options.seasonId
+ * @param {Array<number>} options.codes - Optional player codes (default: every player)
+ * @param {number} options.startGW - Optional first gameweek (inclusive)
+ * @param {number} options.endGW - Optional last gameweek (inclusive)
+ * @param {number} options.position - Optional element_type
+ * @param {number} options.team - Optional team ID (that season's IDs)
+ */
+export async function getArchivedRows(supabase, { seasonId, codes, startGW, endGW, position, team }) {
+  return fetchAllRows(() => {
+    let query = supabase
+      .from('player_gameweek_history')
+      .select('*, gameweek_id:gameweek')
+      .order('player_code', { ascending: true })
+      .order('gameweek', { ascending: true })
+      .order('fixture_id', { ascending: true });
+
+    if (seasonId !== undefined && seasonId !== null) query = query.eq('season_id', seasonId);
+    if (codes) query = query.in('player_code', codes);
+    if (startGW) query = query.gte('gameweek', startGW);
+    if (endGW) query = query.lte('gameweek', endGW);
+    if (position) query = query.eq('element_type', position);
+    if (team) query = query.eq('team_id', team);
+    return query;
+  });
+}
+
+/**
+ * Map one row of an archived merged gameweek file to a player_gameweek_history row
+ *
+ * @param {Object} gw - Parsed row (element, fixture, round, stats...) with numbers and booleans converted
+ * @param {Object} player - { code, web_name, element_type, team_id, team_short_name } for gw.element
+ * @param {Object} opponent - Optional { name, short_name } of gw.opponent_team
+ */
+export function mapArchivedGameweek(seasonId, gw, player, opponent) {
+  const { player_id: elementId, gameweek_id: gameweek, ...stats } = mapGameweekStats(gw.element, gw);
+
+  return {
+    season_id: seasonId,
+    player_code: player.code,
+    element_id: elementId,
+    gameweek,
+    fixture_id: gw.fixture,
+    web_name: player.web_name,
+    element_type: player.element_type,
+    team_id: player.team_id,
+    team_short_name: player.team_short_name,
+    opponent_team_name: opponent?.name ?? null,
+    opponent_team_short_name: opponent?.short_name ?? null,
+    ...stats
+  };
+}
+
+/**
+ * Map one element-summary `history_past` entry to a player_season_history row
+ */
+export function mapPastSeason(seasonId, past) {
+  return {
+    season_id: seasonId,
+    player_code: past.element_code,
+    season_name: past.season_name,
+    start_cost: past.start_cost,
+    end_cost: past.end_cost,
+    total_points: past.total_points,
+    minutes: past.minutes,
+    goals_scored: past.goals_scored,
+    assists: past.assists,
+    clean_sheets: past.clean_sheets,
+    goals_conceded: past.goals_conceded,
+    bonus: past.bonus,
+    bps: past.bps,
+    saves: past.saves || 0,
+    yellow_cards: past.yellow_cards || 0,
+    red_cards: past.red_cards || 0,
+    expected_goals: past.expected_goals || 0,
+    expected_assists: past.expected_assists || 0,
+    expected_goal_involvements: past.expected_goal_involvements || 0,
+    expected_goals_conceded: past.expected_goals_conceded || 0,
+    ict_index: past.ict_index || 0
+  };
+}
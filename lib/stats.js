@@ -0,0 +1,120 @@
+/**
+ * Small statistics helpers (correlation, ranking, linear fit, spread)
+ *
+ * All functions take plain number arrays and return null when there
+ * is not enough data (fewer than 2 points or zero variance).
+ */
+
+export const round = (value, decimals = 3) =>
+  value === null || value === undefined || isNaN(value) ? null : parseFloat(value.toFixed(decimals));
+
+export function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Pearson correlation coefficient (-1..1)
+ */
+export function pearson(xs, ys) {
+  if (xs.length < 2 || xs.length !== ys.length) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    const dx = xs[i] - meanX;
+    const dy = ys[i] - meanY;
+    covariance += dx * dy;
+    varianceX += dx * dx;
+    varianceY += dy * dy;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Ranks (1-based) with ties given their average rank
+ */
+export function rank(values) {
+  const sorted = values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value);
+
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < sorted.length) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1].value === sorted[i].value) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[sorted[k].index] = averageRank;
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation (-1..1) - Pearson on ranks, so it handles ties
+ * and compares scales of different size (e.g. 1-10 vs 1-5) fairly
+ */
+export function spearman(xs, ys) {
+  if (xs.length < 2 || xs.length !== ys.length) return null;
+  return pearson(rank(xs), rank(ys));
+}
+
+/**
+ * Least-squares fit y = intercept + slope * x
+ *
+ * @returns {Object|null} { slope, intercept, r_squared }
+ */
+export function linearFit(xs, ys) {
+  if (xs.length < 2 || xs.length !== ys.length) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - meanX) * (ys[i] - meanY);
+    sxx += (xs[i] - meanX) ** 2;
+  }
+
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const r = pearson(xs, ys);
+
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r_squared: r === null ? null : r * r
+  };
+}
+
+/**
+ * Sample standard deviation
+ */
+export function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Percentile (0-100) with linear interpolation between closest ranks
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
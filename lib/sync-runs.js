@@ -0,0 +1,173 @@
+/**
+ * Sync run tracking (sync_runs table)
+ *
+ * Every sync job writes one row per run: what ran, who triggered it, how long
+ * it took, what it changed and what went wrong. GET /api/sync/status reads
+ * these rows for the frontend sync health panel.
+ *
+ * Long-running syncs (e.g. full-stats) are split across several invocations.
+ * Their row stays 'running' with a JSON cursor so the next call can continue
+ * where the previous one stopped.
+ *
+ * Table: sync_runs
+ *   id          bigint (identity) primary key
+ *   job         text         - e.g. 'full-stats'
+ *   status      text         - 'running' | 'completed' | 'failed'
+ *   source      text         - what triggered the run ('github-actions', 'trigger', 'manual', ...)
+ *   cursor      jsonb        - job-specific resume position
+ *   counts      jsonb        - running totals (players synced, stats updated, ...)
+ *   error_count integer
+ *   errors      jsonb        - sample of error messages (capped at MAX_STORED_ERRORS)
+ *   duration_ms integer      - processing time (summed across invocations)
+ *   started_at  timestamptz
+ *   updated_at  timestamptz
+ *   finished_at timestamptz
+ */
+
+export const SYNC_JOBS = [
+  'players', 'fixtures', 'quick-stats', 'full-stats', 'fpl-difficulty',
+  'fdr-calculate', 'projections', 'live-points', 'rollover'
+];
+
+const MAX_STORED_ERRORS = 50;
+
+/**
+ * Work out what triggered a request: explicit X-Sync-Source header or ?source=,
+ * otherwise Vercel cron (cron secret header) or a manual call
+ */
+export function getSyncSource(req) {
+  const source = req.headers['x-sync-source'] || req.query?.source;
+  if (source) return String(source).slice(0, 50);
+  if (req.headers['x-vercel-cron-secret']) return 'vercel-cron';
+  return 'manual';
+}
+
+/**
+ * Get the most recent unfinished run for a job (null if none)
+ */
+export async function getOpenRun(supabase, job) {
+  const { data, error } = await supabase
+    .from('sync_runs')
+    .select('*')
+    .eq('job', job)
+    .eq('status', 'running')
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to load sync run: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Start a new run for a job, optionally with an initial cursor
+ */
+export async function createRun(supabase, job, { cursor = {}, source = 'manual' } = {}) {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('sync_runs')
+    .insert({
+      job,
+      status: 'running',
+      source,
+      cursor,
+      counts: {},
+      error_count: 0,
+      errors: [],
+      duration_ms: 0,
+      started_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create sync run: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Update a run's cursor, counts or status
+ */
+export async function updateRun(supabase, runId, fields) {
+  const { data, error } = await supabase
+    .from('sync_runs')
+    .update({
+      ...fields,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', runId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update sync run ${runId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Add this invocation's numbers to a run's running totals
+ */
+export function addCounts(counts = {}, increments = {}) {
+  const totals = { ...counts };
+  for (const [key, value] of Object.entries(increments)) {
+    totals[key] = (totals[key] || 0) + value;
+  }
+  return totals;
+}
+
+/**
+ * Append error messages to a run's stored sample, keeping it bounded
+ */
+export function addErrors(errors = [], messages = []) {
+  return [...errors, ...messages].slice(0, MAX_STORED_ERRORS);
+}
+
+/**
+ * Record the start of a single-invocation job
+ *
+ * Never throws - history is best effort and must not break the sync itself.
+ * Returns null if the row could not be written.
+ */
+export async function startSyncRun(supabase, job, req) {
+  try {
+    return await createRun(supabase, job, { source: getSyncSource(req) });
+  } catch (error) {
+    console.warn(`  ⚠ Could not record ${job} run start:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Record the outcome of a job started with startSyncRun
+ *
+ * @param {Object} run - Row returned by startSyncRun (no-op if null)
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'completed' or 'failed'
+ * @param {Object} outcome.counts - Numbers to store (players synced, teams updated, ...)
+ * @param {number} outcome.errorCount - Number of errors (defaults to errors.length)
+ * @param {string[]} outcome.errors - Error messages
+ */
+export async function finishSyncRun(supabase, run, { status = 'completed', counts = {}, errorCount, errors = [] } = {}) {
+  if (!run) return;
+
+  try {
+    await updateRun(supabase, run.id, {
+      status,
+      counts,
+      error_count: errorCount ?? errors.length,
+      errors: addErrors([], errors),
+      duration_ms: Date.now() - new Date(run.started_at).getTime(),
+      finished_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.warn(`  ⚠ Could not record ${run.job} run result:`, error.message);
+  }
+}
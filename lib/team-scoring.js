@@ -0,0 +1,281 @@
+/**
+ * Manager team scoring
+ *
+ * Scores a manager's picks for a gameweek the way FPL does, from the
+ * /event/{gw}/live/ payload (with provisional bonus from lib/live-points.js):
+ * - Auto-subs: a starter who has finished the gameweek with 0 minutes is
+ *   replaced by the first bench player (in bench order) who played and keeps
+ *   a valid formation (1 GKP, 3 DEF, 2 MID, 1 FWD minimum). Goalkeepers are
+ *   only replaced by the bench goalkeeper.
+ * - Captaincy: the captain's points count double (triple with the Triple
+ *   Captain chip); if the captain has 0 minutes, the vice-captain gets it.
+ * - Bench Boost: all 15 players count and no auto-subs are made.
+ * - Free Hit: scored like any other week - the picks already are the
+ *   one-week squad, and FPL restores the previous squad afterwards.
+ * - Assistant Manager: the manager (element_type 5, pick position 16) scores
+ *   from their club's results while the chip is active. Managers have no
+ *   minutes, are never captain and are never subbed.
+ *
+ * Live, a player who hasn't played yet may still play: a starter is only
+ * subbed off once all their team's fixtures are finished, and a bench player
+ * whose fixture is still to come holds their place in the bench order (the
+ * sub is pending rather than skipping ahead to the next bench player).
+ *
+ * Pure - no FPL or database calls.
+ */
+
+import { buildLivePoints } from './live-points.js';
+
+export const STARTING_XI = 11;
+
+// Minimum players per position (element_type) in the starting XI
+export const FORMATION_MINIMUMS = { 1: 1, 2: 3, 3: 2, 4: 1 };
+
+const GOALKEEPER = 1;
+export const MANAGER = 5;
+
+export const CHIPS = {
+  BENCH_BOOST: 'bboost',
+  TRIPLE_CAPTAIN: '3xc',
+  FREE_HIT: 'freehit',
+  WILDCARD: 'wildcard',
+  ASSISTANT_MANAGER: 'manager'
+};
+
+/**
+ * @typedef {Object} LivePlayer
+ * @property {number} element_type - 1 GKP, 2 DEF, 3 MID, 4 FWD, 5 manager
+ * @property {number} points - Live points (including any provisional bonus)
+ * @property {number} provisional_bonus - Bonus not yet confirmed by FPL
+ * @property {number} minutes - Minutes played so far in the gameweek
+ * @property {boolean} finished - Every fixture of the player's team in the
+ *                                gameweek is over (true for a blank gameweek)
+ * @property {Array} fixtures - Per fixture: { fixture_id, provisional_bonus, stats: [{ identifier, value, points }] }
+ */
+
+/**
+ * Live points and status per player from the live payload
+ *
+ * @param {Object} live - /event/{gw}/live/ response
+ * @param {Object} context
+ * @param {Array} context.elements - bootstrap-static elements (positions and teams)
+ * @param {Array} context.fixtures - /fixtures/?event={gw} response
+ * @param {number} context.gameweek
+ * @returns {Map<number, LivePlayer>}
+ */
+export function livePlayersFromEvent(live, { elements, fixtures, gameweek }) {
+  const rows = new Map(buildLivePoints(gameweek, live, fixtures).map(row => [row.player_id, row]));
+  const explainById = new Map(live.elements.map(element => [element.id, element.explain || []]));
+
+  // A team is done once all its fixtures this gameweek are over (a blank counts as done)
+  const teamPending = new Set();
+  fixtures
+    .filter(fixture => !fixture.finished_provisional && !fixture.finished)
+    .forEach(fixture => {
+      teamPending.add(fixture.team_h);
+      teamPending.add(fixture.team_a);
+    });
+
+  return new Map(elements.map(element => {
+    const row = rows.get(element.id);
+    const provisionalByFixture = new Map((row?.fixtures || []).map(f => [f.fixture_id, f.provisional_bonus]));
+
+    return [element.id, {
+      element_type: element.element_type,
+      points: row?.live_total ?? 0,
+      provisional_bonus: row?.provisional_bonus ?? 0,
+      minutes: row?.minutes ?? 0,
+      finished: !teamPending.has(element.team),
+      fixtures: (explainById.get(element.id) || []).map(({ fixture, stats }) => ({
+        fixture_id: fixture,
+        provisional_bonus: provisionalByFixture.get(fixture) || 0,
+        stats: stats.map(({ identifier, value, points }) => ({ identifier, value, points }))
+      }))
+    }];
+  }));
+}
+
+const played = (player) => player.minutes > 0;
+const didNotPlay = (player) => player.minutes === 0 && player.finished;
+
+function isValidFormation(lineup) {
+  const counts = {};
+  lineup.forEach(player => {
+    counts[player.element_type] = (counts[player.element_type] || 0) + 1;
+  });
+
+  return Object.entries(FORMATION_MINIMUMS).every(([type, min]) => (counts[type] || 0) >= min);
+}
+
+/**
+ * Apply auto-subs to a starting XI
+ *
+ * @param {Array} starters - Starting picks (position order), each with its LivePlayer fields
+ * @param {Array} bench - Bench picks in bench order
+ * @returns {Object} { lineup, subs: [{ out, in }], pending: [element] }
+ *          pending lists starters who didn't play but may still be subbed
+ */
+export function applyAutoSubs(starters, bench) {
+  const lineup = [...starters];
+  const used = new Set();
+  const subs = [];
+  const pending = [];
+
+  starters.forEach((starter, index) => {
+    if (!didNotPlay(starter)) return;
+
+    for (const candidate of bench) {
+      if (used.has(candidate.element)) continue;
+
+      // Goalkeepers only swap with goalkeepers
+      if ((starter.element_type === GOALKEEPER) !== (candidate.element_type === GOALKEEPER)) continue;
+
+      const swapped = lineup.map((player, i) => (i === index ? candidate : player));
+      if (!isValidFormation(swapped)) continue;
+
+      if (played(candidate)) {
+        lineup[index] = candidate;
+        used.add(candidate.element);
+        subs.push({ out: starter.element, in: candidate.element });
+        return;
+      }
+
+      // Still to play - wait for them rather than skipping ahead
+      if (!candidate.finished) {
+        pending.push(starter.element);
+        return;
+      }
+    }
+  });
+
+  return { lineup, subs, pending };
+}
+
+/**
+ * Who gets the captain's multiplier: the captain, or the vice-captain when
+ * the captain didn't play (nobody when neither did)
+ */
+function resolveCaptain(picks) {
+  const captain = picks.find(pick => pick.is_captain);
+  const vice = picks.find(pick => pick.is_vice_captain);
+
+  if (captain && !didNotPlay(captain)) return { element: captain.element, vice_promoted: false };
+  if (vice && !didNotPlay(vice)) return { element: vice.element, vice_promoted: true };
+  return { element: null, vice_promoted: Boolean(captain) };
+}
+
+function playerStatus(pick) {
+  if (pick.element_type === MANAGER) return pick.finished ? 'finished' : 'to_play';
+  if (played(pick)) return pick.finished ? 'finished' : 'playing';
+  return pick.finished ? 'did_not_play' : 'to_play';
+}
+
+/**
+ * Score a manager's picks
+ *
+ * @param {Array} picks - FPL picks: [{ element, position, is_captain, is_vice_captain }]
+ * @param {Map<number, LivePlayer>} players - element → live points and status
+ * @param {string|null} activeChip - FPL chip name (see CHIPS)
+ * @returns {Object} { points, bench_points, manager_points, chip, captain, auto_subs, pending_subs, picks }
+ */
+export function scorePicks(picks, players, activeChip = null) {
+  const squad = [...picks]
+    .sort((a, b) => a.position - b.position)
+    .map(pick => {
+      const player = players.get(pick.element);
+      return {
+        ...pick,
+        element_type: player?.element_type,
+        points: player?.points ?? 0,
+        provisional_bonus: player?.provisional_bonus ?? 0,
+        minutes: player?.minutes ?? 0,
+        finished: player?.finished ?? true,
+        fixtures: player?.fixtures ?? []
+      };
+    });
+
+  const isManager = (pick) => pick.element_type === MANAGER;
+  const starters = squad.filter(pick => !isManager(pick) && pick.position <= STARTING_XI);
+  const bench = squad.filter(pick => !isManager(pick) && pick.position > STARTING_XI);
+  const managers = squad.filter(isManager);
+  const benchBoost = activeChip === CHIPS.BENCH_BOOST;
+
+  const { lineup, subs, pending } = benchBoost
+    ? { lineup: [...starters, ...bench], subs: [], pending: [] }
+    : applyAutoSubs(starters, bench);
+
+  const counted = new Set(lineup.map(pick => pick.element));
+  if (activeChip === CHIPS.ASSISTANT_MANAGER) {
+    managers.forEach(pick => counted.add(pick.element));
+  }
+
+  const captain = resolveCaptain(squad.filter(pick => !isManager(pick)));
+  const captainMultiplier = activeChip === CHIPS.TRIPLE_CAPTAIN ? 3 : 2;
+
+  const scored = squad.map(pick => {
+    const multiplier = !counted.has(pick.element) ? 0
+      : pick.element === captain.element ? captainMultiplier
+      : 1;
+
+    return {
+      element: pick.element,
+      position: pick.position,
+      element_type: pick.element_type,
+      role: isManager(pick) ? 'manager' : pick.position <= STARTING_XI ? 'starter' : 'bench',
+      is_captain: pick.is_captain,
+      is_vice_captain: pick.is_vice_captain,
+      status: playerStatus(pick),
+      minutes: pick.minutes,
+      finished: pick.finished,
+      points: pick.points,
+      provisional_bonus: pick.provisional_bonus,
+      multiplier,
+      total: pick.points * multiplier,
+      subbed_in: subs.some(sub => sub.in === pick.element),
+      subbed_out: subs.some(sub => sub.out === pick.element),
+      fixtures: pick.fixtures
+    };
+  });
+
+  const sumTotals = (list) => list.reduce((sum, pick) => sum + pick.total, 0);
+
+  return {
+    points: sumTotals(scored),
+    bench_points: scored
+      .filter(pick => pick.role !== 'manager' && pick.multiplier === 0)
+      .reduce((sum, pick) => sum + pick.points, 0),
+    manager_points: sumTotals(scored.filter(pick => pick.role === 'manager')),
+    chip: activeChip,
+    captain: {
+      element: captain.element,
+      vice_promoted: captain.vice_promoted,
+      multiplier: captain.element ? captainMultiplier : 0
+    },
+    auto_subs: subs,
+    pending_subs: pending,
+    picks: scored
+  };
+}
+
+/**
+ * Full live points for a manager's gameweek
+ *
+ * @param {Object} live - /event/{gw}/live/ response
+ * @param {Object} entryPicks - /entry/{id}/event/{gw}/picks/ response
+ * @param {Object} context - { elements, fixtures, gameweek } (see livePlayersFromEvent)
+ * @returns {Object} scorePicks result plus transfer_cost and net_points (points - transfer_cost)
+ */
+export function calculateLivePoints(live, entryPicks, context) {
+  const score = scorePicks(
+    entryPicks.picks,
+    livePlayersFromEvent(live, context),
+    entryPicks.active_chip
+  );
+  const transferCost = entryPicks.entry_history?.event_transfers_cost || 0;
+
+  return {
+    ...score,
+    transfer_cost: transferCost,
+    net_points: score.points - transferCost
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Transfer planner
+ *
+ * Suggests the best 0-N transfers for a 15-player squad over a horizon of
+ * gameweeks, scored with player_projections (lib/projections.js).
+ *
+ * FPL rules enforced:
+ * - Squad of 2 GKP, 5 DEF, 5 MID, 3 FWD (transfers are like-for-like by position)
+ * - Max 3 players per club
+ * - Budget: incoming price must fit in bank + selling price of the outgoing player
+ * - Each transfer beyond the free transfers costs a 4 point hit
+ *
+ * A squad is scored per gameweek by its best valid starting XI (1 GKP, at least
+ * 3 DEF, 2 MID and 1 FWD) with the top projected player doubled as captain.
+ * The search is a beam search: the best BEAM_WIDTH plans with k transfers are
+ * extended with one more transfer to find plans with k + 1.
+ */
+
+import { fetchAllRows } from './paginate.js';
+import { getStoredProjections } from './projections.js';
+
+export const SQUAD_SIZE = 15;
+export const SQUAD_POSITIONS = { 1: 2, 2: 5, 3: 5, 4: 3 };
+export const MAX_PER_CLUB = 3;
+export const HIT_COST = 4;
+
+// Minimum starters per position in a valid XI
+const MIN_STARTERS = { 1: 1, 2: 3, 3: 2, 4: 1 };
+const STARTING_XI = 11;
+
+// Candidates kept per position (by horizon expected points) and plans kept per search depth
+const CANDIDATES_PER_POSITION = 25;
+const BEAM_WIDTH = 30;
+
+// Players FPL marks as injured, suspended, unavailable or not in the squad
+const UNAVAILABLE_STATUSES = ['i', 's', 'u', 'n'];
+
+const round = (value, decimals = 1) => parseFloat(value.toFixed(decimals));
+
+/**
+ * Projected points of the best valid XI for one gameweek, captain doubled
+ */
+export function bestLineupPoints(squad, gameweek) {
+  const pointsOf = (player) => player.points[gameweek] || 0;
+  const byPosition = { 1: [], 2: [], 3: [], 4: [] };
+  squad.forEach(player => byPosition[player.element_type].push(player));
+  Object.values(byPosition).forEach(players => players.sort((a, b) => pointsOf(b) - pointsOf(a)));
+
+  // Required starters first, then the best remaining outfield players
+  const starters = [];
+  const remaining = [];
+  for (const [position, players] of Object.entries(byPosition)) {
+    starters.push(...players.slice(0, MIN_STARTERS[position]));
+    if (position !== '1') remaining.push(...players.slice(MIN_STARTERS[position]));
+  }
+
+  remaining.sort((a, b) => pointsOf(b) - pointsOf(a));
+  starters.push(...remaining.slice(0, STARTING_XI - starters.length));
+
+  const total = starters.reduce((sum, player) => sum + pointsOf(player), 0);
+  const captain = Math.max(0, ...starters.map(pointsOf));
+
+  return total + captain;
+}
+
+/**
+ * Total projected points of a squad over the horizon
+ */
+export function squadScore(squad, gameweeks) {
+  return gameweeks.reduce((sum, gw) => sum + bestLineupPoints(squad, gw), 0);
+}
+
+/**
+ * Check squad shape: size, unique players, position counts and club limit
+ *
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateSquad(squad) {
+  const problems = [];
+
+  if (squad.length !== SQUAD_SIZE) {
+    problems.push(`Squad must have ${SQUAD_SIZE} players (got ${squad.length})`);
+  }
+
+  if (new Set(squad.map(p => p.id)).size !== squad.length) {
+    problems.push('Squad contains duplicate players');
+  }
+
+  for (const [position, required] of Object.entries(SQUAD_POSITIONS)) {
+    const count = squad.filter(p => p.element_type === parseInt(position)).length;
+    if (count !== required) {
+      problems.push(`Squad needs ${required} players of element_type ${position} (got ${count})`);
+    }
+  }
+
+  const clubCounts = {};
+  squad.forEach(p => { clubCounts[p.team_id] = (clubCounts[p.team_id] || 0) + 1; });
+  Object.entries(clubCounts)
+    .filter(([, count]) => count > MAX_PER_CLUB)
+    .forEach(([teamId]) => problems.push(`More than ${MAX_PER_CLUB} players from team ${teamId}`));
+
+  return problems;
+}
+
+/**
+ * Load players with prices and projected points per gameweek
+ *
+ * @returns {Promise<Map<number, Object>>} id → { id, web_name, element_type, team_id, team_short_name,
+ *                                               now_cost, status, chance_of_playing_next_round, points: { [gw]: xp }, total }
+ */
+export async function loadPlannerPlayers(supabase, { from, to }) {
+  const [players, projections] = await Promise.all([
+    fetchAllRows(() => supabase
+      .from('players')
+      .select('id, web_name, element_type, team_id, now_cost, status, chance_of_playing_next_round, teams!inner(short_name)')
+      .order('id', { ascending: true })),
+    getStoredProjections(supabase, { from, to })
+  ]);
+
+  return new Map(players.map(player => {
+    const projection = projections.get(player.id);
+    const points = {};
+    for (let gw = from; gw <= to; gw++) {
+      points[gw] = projection?.gameweeks[gw]?.expected_points || 0;
+    }
+
+    return [player.id, {
+      id: player.id,
+      web_name: player.web_name,
+      element_type: player.element_type,
+      team_id: player.team_id,
+      team_short_name: player.teams?.short_name,
+      now_cost: player.now_cost !== null && player.now_cost !== undefined ? player.now_cost / 10 : null,
+      status: player.status,
+      chance_of_playing_next_round: player.chance_of_playing_next_round,
+      points,
+      total: projection?.total || 0
+    }];
+  }));
+}
+
+function isAvailable(player) {
+  if (UNAVAILABLE_STATUSES.includes(player.status)) return false;
+  return player.chance_of_playing_next_round === null ||
+    player.chance_of_playing_next_round === undefined ||
+    player.chance_of_playing_next_round >= 75;
+}
+
+/**
+ * Search for the best plans with 0..maxTransfers transfers
+ *
+ * @param {Object} options
+ * @param {Array} options.squad - 15 player objects from loadPlannerPlayers
+ * @param {Map} options.players - All players from loadPlannerPlayers
+ * @param {Array<number>} options.gameweeks - Gameweeks in the horizon
+ * @param {number} options.bank - Money in the bank (£m)
+ * @param {number} options.freeTransfers - Free transfers available
+ * @param {number} options.maxTransfers - Most transfers to consider
+ * @param {Object} options.sellingPrices - Optional { [playerId]: £m } (defaults to current price)
+ * @returns {Object} { baseline_points, plans: [best plan per transfer count], recommended }
+ */
+export function planTransfers({ squad, players, gameweeks, bank, freeTransfers, maxTransfers, sellingPrices = {} }) {
+  const sellingPrice = (player) => sellingPrices[player.id] ?? player.now_cost ?? 0;
+  const squadIds = new Set(squad.map(p => p.id));
+
+  // Best available candidates per position by horizon points
+  const candidates = { 1: [], 2: [], 3: [], 4: [] };
+  [...players.values()]
+    .filter(p => !squadIds.has(p.id) && p.now_cost !== null && isAvailable(p))
+    .sort((a, b) => b.total - a.total)
+    .forEach(p => {
+      if (candidates[p.element_type]?.length < CANDIDATES_PER_POSITION) candidates[p.element_type].push(p);
+    });
+
+  const baselinePoints = squadScore(squad, gameweeks);
+  const planKey = (plan) => plan.squad.map(p => p.id).sort((a, b) => a - b).join(',');
+
+  let frontier = [{ squad, bank, transfers: [], points: baselinePoints }];
+  const bestByCount = [frontier[0]];
+
+  for (let count = 1; count <= maxTransfers; count++) {
+    const next = new Map();
+
+    for (const plan of frontier) {
+      const inSquad = new Set(plan.squad.map(p => p.id));
+      const clubCounts = {};
+      plan.squad.forEach(p => { clubCounts[p.team_id] = (clubCounts[p.team_id] || 0) + 1; });
+      // Players brought in by this plan can't be sold again in the same plan
+      const boughtIds = new Set(plan.transfers.map(t => t.in.id));
+
+      for (const out of plan.squad) {
+        if (boughtIds.has(out.id)) continue;
+        const budget = plan.bank + sellingPrice(out);
+
+        for (const incoming of candidates[out.element_type]) {
+          if (inSquad.has(incoming.id) || incoming.now_cost > budget + 1e-9) continue;
+
+          const clubCount = (clubCounts[incoming.team_id] || 0) - (out.team_id === incoming.team_id ? 1 : 0);
+          if (clubCount >= MAX_PER_CLUB) continue;
+
+          const newSquad = plan.squad.map(p => (p.id === out.id ? incoming : p));
+          const candidate = {
+            squad: newSquad,
+            bank: round(budget - incoming.now_cost),
+            transfers: [...plan.transfers, { out, in: incoming }],
+            points: squadScore(newSquad, gameweeks)
+          };
+
+          // Same resulting squad reached in a different order - keep one
+          const key = planKey(candidate);
+          if (!next.has(key) || next.get(key).points < candidate.points) next.set(key, candidate);
+        }
+      }
+    }
+
+    if (next.size === 0) break;
+
+    frontier = [...next.values()].sort((a, b) => b.points - a.points).slice(0, BEAM_WIDTH);
+    bestByCount.push(frontier[0]);
+  }
+
+  const plans = bestByCount.map(plan => {
+    const hits = Math.max(0, plan.transfers.length - freeTransfers);
+    const gain = plan.points - baselinePoints;
+
+    return {
+      transfers_count: plan.transfers.length,
+      transfers: plan.transfers.map(t => ({
+        out: { id: t.out.id, web_name: t.out.web_name, team_short_name: t.out.team_short_name, element_type: t.out.element_type, selling_price: sellingPrice(t.out), expected_points: round(t.out.total, 2) },
+        in: { id: t.in.id, web_name: t.in.web_name, team_short_name: t.in.team_short_name, element_type: t.in.element_type, price: t.in.now_cost, expected_points: round(t.in.total, 2) }
+      })),
+      hits,
+      hit_cost: hits * HIT_COST,
+      projected_points: round(plan.points, 2),
+      gain: round(gain, 2),
+      net_gain: round(gain - hits * HIT_COST, 2),
+      bank_after: round(plan.bank)
+    };
+  });
+
+  const recommended = plans.reduce((best, plan) => (plan.net_gain > best.net_gain ? plan : best), plans[0]);
+
+  return {
+    baseline_points: round(baselinePoints, 2),
+    plans,
+    recommended
+  };
+}
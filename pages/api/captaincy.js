@@ -0,0 +1,246 @@
+/**
+ * GET /api/captaincy?gw=
+ *
+ * Ranked captain candidates for a gameweek:
+ * - expected points from player_projections (see lib/projections.js)
+ * - ceiling/variance from the player's player_gameweek_stats history this season
+ *   (points in games they played: std dev, 90th percentile, haul and blank rates)
+ * - home/away points split and this gameweek's venue(s)
+ * - opponent difficulty from teams.home_difficulty/away_difficulty (plus FPL's)
+ * - ownership from the latest `selected` count, so effective-ownership-aware
+ *   (template vs differential) picks are possible
+ *
+ * Query Parameters:
+ *   - gw: Optional gameweek (defaults to the next unfinished gameweek)
+ *   - playerIds: Optional comma-separated player IDs (e.g. a manager's squad)
+ *   - limit: Optional number of candidates (default: 20, max: 50)
+ *
+ * Example:
+ *   GET /api/captaincy
+ *   GET /api/captaincy?gw=12&playerIds=1,2,3
+ *
+ * Public endpoint used by frontend
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fpl from '../../lib/fpl-client.js';
+import { resolveGameweekWindow } from '../../lib/fdr-ticker.js';
+import { getStoredProjections } from '../../lib/projections.js';
+import { POSITIONS } from '../../lib/entry-squad.js';
+import { fetchAllRows } from '../../lib/paginate.js';
+import { mean, standardDeviation, percentile, round } from '../../lib/stats.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// z-score of the 90th percentile of a normal distribution
+const CEILING_Z = 1.28;
+const HAUL_POINTS = 10;
+const BLANK_POINTS = 2;
+
+// Total FPL managers for ownership %, from bootstrap-static (null if FPL is unreachable)
+async function getTotalManagers() {
+  try {
+    const bootstrap = await fpl.getBootstrapStatic();
+    return bootstrap.total_players || null;
+  } catch (error) {
+    console.warn('  ⚠ Could not fetch total managers for ownership %:', error.message);
+    return null;
+  }
+}
+
+function summariseHistory(rows) {
+  const played = rows.filter(row => row.minutes > 0);
+  const points = played.map(row => row.total_points);
+  const home = played.filter(row => row.was_home).map(row => row.total_points);
+  const away = played.filter(row => !row.was_home).map(row => row.total_points);
+
+  return {
+    games: played.length,
+    average_points: round(mean(points), 2),
+    std_dev: round(standardDeviation(points), 2),
+    ceiling_p90: round(percentile(points, 90), 1),
+    haul_rate: played.length > 0 ? round(points.filter(p => p >= HAUL_POINTS).length / played.length, 3) : null,
+    blank_rate: played.length > 0 ? round(points.filter(p => p <= BLANK_POINTS).length / played.length, 3) : null,
+    home_average: round(mean(home), 2),
+    home_games: home.length,
+    away_average: round(mean(away), 2),
+    away_games: away.length
+  };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { gw, playerIds, limit } = req.query;
+
+  const gameweek = gw !== undefined ? parseInt(gw) : undefined;
+  if (gw !== undefined && (isNaN(gameweek) || gameweek < 1 || gameweek > 38)) {
+    return res.status(400).json({
+      success: false,
+      error: 'gw must be between 1 and 38'
+    });
+  }
+
+  const limitNum = limit !== undefined ? parseInt(limit) : DEFAULT_LIMIT;
+  if (isNaN(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+    return res.status(400).json({
+      success: false,
+      error: `limit must be between 1 and ${MAX_LIMIT}`
+    });
+  }
+
+  const playerIdArray = playerIds ? playerIds.split(',').map(id => parseInt(id.trim())) : null;
+  if (playerIdArray && playerIdArray.some(isNaN)) {
+    return res.status(400).json({
+      success: false,
+      error: 'playerIds must be comma-separated integers'
+    });
+  }
+
+  try {
+    const targetGW = gameweek ?? (await resolveGameweekWindow(supabase, { horizon: 1 })).from;
+
+    const projections = await getStoredProjections(supabase, {
+      from: targetGW,
+      to: targetGW,
+      playerIds: playerIdArray
+    });
+
+    if (projections.size === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No projections for gameweek ${targetGW}`,
+        message: 'Projections are calculated by /api/sync/projections for upcoming gameweeks.'
+      });
+    }
+
+    const topIds = [...projections.entries()]
+      .sort(([, a], [, b]) => b.total - a.total)
+      .slice(0, limitNum)
+      .map(([id]) => id);
+
+    const [playersResult, teamsResult, fixturesResult, history, totalManagers] = await Promise.all([
+      supabase
+        .from('players')
+        .select('id, web_name, element_type, team_id')
+        .in('id', topIds),
+      supabase
+        .from('teams')
+        .select('id, name, short_name, home_difficulty, away_difficulty'),
+      supabase
+        .from('fixtures')
+        .select('id, event, kickoff_time, team_h, team_a, team_h_difficulty, team_a_difficulty')
+        .eq('event', targetGW),
+      fetchAllRows(() => supabase
+        .from('player_gameweek_stats')
+        .select('player_id, gameweek_id, total_points, minutes, was_home, selected')
+        .in('player_id', topIds)
+        .lt('gameweek_id', targetGW)
+        .order('player_id', { ascending: true })
+        .order('gameweek_id', { ascending: true })),
+      getTotalManagers()
+    ]);
+
+    for (const result of [playersResult, teamsResult, fixturesResult]) {
+      if (result.error) {
+        throw new Error(result.error.message);
+      }
+    }
+
+    const teamsById = new Map(teamsResult.data.map(team => [team.id, team]));
+    const playersById = new Map(playersResult.data.map(player => [player.id, player]));
+
+    const candidates = topIds
+      .filter(id => playersById.has(id))
+      .map(id => {
+        const player = playersById.get(id);
+        const projection = projections.get(id);
+        const rows = history.filter(row => row.player_id === id);
+        const stats = summariseHistory(rows);
+        const latestSelected = rows[rows.length - 1]?.selected ?? null;
+
+        const fixtures = fixturesResult.data
+          .filter(f => f.team_h === player.team_id || f.team_a === player.team_id)
+          .map(f => {
+            const isHome = f.team_h === player.team_id;
+            const opponent = teamsById.get(isHome ? f.team_a : f.team_h);
+            return {
+              fixture_id: f.id,
+              kickoff_time: f.kickoff_time,
+              opponent_id: opponent?.id,
+              opponent_short_name: opponent?.short_name,
+              venue: isHome ? 'H' : 'A',
+              difficulty: parseFloat((isHome ? opponent?.away_difficulty : opponent?.home_difficulty) || 5),
+              fpl_difficulty: isHome ? f.team_h_difficulty : f.team_a_difficulty,
+              venue_average_points: isHome ? stats.home_average : stats.away_average
+            };
+          });
+
+        const expectedPoints = projection.total;
+        const ownership = latestSelected !== null && totalManagers
+          ? round((latestSelected / totalManagers) * 100, 1)
+          : null;
+
+        return {
+          player_id: id,
+          web_name: player.web_name,
+          position: POSITIONS[player.element_type],
+          team_id: player.team_id,
+          team_short_name: teamsById.get(player.team_id)?.short_name,
+          expected_points: expectedPoints,
+          projected_ceiling: stats.std_dev !== null
+            ? round(expectedPoints + CEILING_Z * stats.std_dev * Math.sqrt(Math.max(fixtures.length, 1)), 1)
+            : null,
+          fixtures,
+          history: stats,
+          ownership: {
+            selected: latestSelected,
+            percent: ownership
+          },
+          // Captaining a low-owned player gains rank on everyone without them
+          differential_score: ownership !== null ? round(expectedPoints * (1 - ownership / 100), 2) : null
+        };
+      });
+
+    candidates.forEach((candidate, index) => { candidate.rank = index + 1; });
+
+    return res.status(200).json({
+      success: true,
+      gameweek: targetGW,
+      total_managers: totalManagers,
+      candidates,
+      count: candidates.length,
+      note: 'Ranked by expected_points. projected_ceiling ≈ 90th percentile (expected points + 1.28 × historical std dev per fixture). difficulty is our FDR (1-10), fpl_difficulty is FPL official (1-5).'
+    });
+
+  } catch (error) {
+    console.error('Failed to build captaincy recommendations:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build captaincy recommendations',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * API Endpoint: /api/entry/[id]/live
+ *
+ * A manager's live points for a gameweek with a full breakdown per player:
+ * FPL's live stats per fixture, provisional bonus, captain/vice-captain
+ * multiplier, auto-subs and chip effects (bench boost, triple captain,
+ * free hit, assistant manager). See lib/team-scoring.js.
+ *
+ * Path Parameters:
+ *   - id: FPL entry (manager team) ID
+ *
+ * Query Parameters:
+ *   - gw: Optional gameweek (defaults to the current gameweek)
+ *
+ * Example:
+ *   GET /api/entry/123456/live
+ *   GET /api/entry/123456/live?gw=12
+ */
+
+import fpl, { FplApiError } from '../../../../lib/fpl-client.js';
+import { fetchLiveGameweek } from '../../../../lib/live-points.js';
+import { calculateLivePoints } from '../../../../lib/team-scoring.js';
+import { POSITIONS } from '../../../../lib/entry-squad.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, gw } = req.query;
+
+  const entryId = parseInt(id);
+  if (isNaN(entryId) || entryId < 1) {
+    return res.status(400).json({
+      error: 'Invalid entry ID',
+      message: 'Entry ID must be a positive integer'
+    });
+  }
+
+  const requestedGW = gw !== undefined ? parseInt(gw) : undefined;
+  if (gw !== undefined && (isNaN(requestedGW) || requestedGW < 1 || requestedGW > 38)) {
+    return res.status(400).json({
+      error: 'Invalid gameweek',
+      message: 'gw must be between 1 and 38'
+    });
+  }
+
+  try {
+    const bootstrap = await fpl.getBootstrapStatic();
+    const gameweek = requestedGW ?? bootstrap.events.find(event => event.is_current)?.id;
+    if (!gameweek) {
+      return res.status(404).json({
+        error: 'No current gameweek',
+        message: 'The season has not started yet'
+      });
+    }
+
+    const [entryPicks, { live, fixtures, status }] = await Promise.all([
+      fpl.getEntryPicks(entryId, gameweek),
+      fetchLiveGameweek(gameweek)
+    ]);
+
+    const score = calculateLivePoints(live, entryPicks, {
+      elements: bootstrap.elements,
+      fixtures,
+      gameweek
+    });
+
+    const elementsById = new Map(bootstrap.elements.map(element => [element.id, element]));
+    const teamsById = new Map(bootstrap.teams.map(team => [team.id, team]));
+
+    const picks = score.picks.map(pick => {
+      const element = elementsById.get(pick.element);
+      return {
+        ...pick,
+        web_name: element?.web_name ?? null,
+        position_name: POSITIONS[pick.element_type] ?? (pick.role === 'manager' ? 'MNG' : null),
+        team_short_name: teamsById.get(element?.team)?.short_name ?? null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      entry_id: entryId,
+      gameweek,
+      status,
+      active_chip: score.chip,
+      points: score.points,
+      transfer_cost: score.transfer_cost,
+      net_points: score.net_points,
+      bench_points: score.bench_points,
+      manager_points: score.manager_points,
+      captain: score.captain,
+      auto_subs: score.auto_subs,
+      pending_subs: score.pending_subs,
+      starting: picks.filter(pick => pick.role === 'starter'),
+      bench: picks.filter(pick => pick.role === 'bench'),
+      manager: picks.find(pick => pick.role === 'manager') || null,
+      note: 'Points include provisional bonus until FPL confirms it. Auto-subs are made once a starter has finished the gameweek without playing.'
+    });
+
+  } catch (error) {
+    if (error instanceof FplApiError && error.status === 404) {
+      return res.status(404).json({
+        error: 'Entry not found',
+        message: `No FPL entry ${entryId} or no picks for gameweek ${requestedGW ?? 'current'}`
+      });
+    }
+
+    console.error('API error:', error);
+    res.status(error instanceof FplApiError ? 502 : 500).json({
+      error: error instanceof FplApiError ? 'FPL API error' : 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * API Endpoint: /api/entry/[id]/squad
+ *
+ * Returns a manager's squad for a gameweek through our own data: player and
+ * team info, recent form, expected points, bench order and upcoming fixture
+ * difficulty (custom FDR and FPL's side by side). See lib/entry-squad.js.
+ *
+ * Path Parameters:
+ *   - id: FPL entry (manager team) ID
+ *
+ * Query Parameters:
+ *   - gw: Optional gameweek of the picks (defaults to the entry's current gameweek)
+ *   - horizon: Optional number of upcoming gameweeks of fixtures (default: 5, max: 38)
+ *   - model: Optional FDR weighting model (default: 'balanced')
+ *
+ * Example:
+ *   GET /api/entry/123456/squad
+ *   GET /api/entry/123456/squad?gw=10&horizon=3
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { FplApiError } from '../../../../lib/fpl-client.js';
+import { getEntrySquad, DEFAULT_SQUAD_HORIZON } from '../../../../lib/entry-squad.js';
+import { loadFdrModels, DEFAULT_FDR_MODEL } from '../../../../lib/fdr-models.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const MAX_HORIZON = 38;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, gw, horizon, model = DEFAULT_FDR_MODEL } = req.query;
+
+  const entryId = parseInt(id);
+  if (isNaN(entryId) || entryId < 1) {
+    return res.status(400).json({
+      error: 'Invalid entry ID',
+      message: 'Entry ID must be a positive integer'
+    });
+  }
+
+  const gameweek = gw !== undefined ? parseInt(gw) : undefined;
+  if (gw !== undefined && (isNaN(gameweek) || gameweek < 1 || gameweek > 38)) {
+    return res.status(400).json({
+      error: 'Invalid gameweek',
+      message: 'gw must be between 1 and 38'
+    });
+  }
+
+  const horizonNum = horizon !== undefined ? parseInt(horizon) : DEFAULT_SQUAD_HORIZON;
+  if (isNaN(horizonNum) || horizonNum < 1 || horizonNum > MAX_HORIZON) {
+    return res.status(400).json({
+      error: 'Invalid horizon',
+      message: `horizon must be an integer between 1 and ${MAX_HORIZON}`
+    });
+  }
+
+  try {
+    const models = await loadFdrModels(supabase);
+    if (!models.has(model)) {
+      return res.status(400).json({
+        error: `Unknown FDR model: ${model}`,
+        available_models: [...models.keys()]
+      });
+    }
+
+    const squad = await getEntrySquad(supabase, {
+      entryId,
+      gameweek,
+      horizon: horizonNum,
+      model
+    });
+
+    res.status(200).json({
+      success: true,
+      ...squad,
+      model
+    });
+
+  } catch (error) {
+    if (error instanceof FplApiError && error.status === 404) {
+      return res.status(404).json({
+        error: 'Entry not found',
+        message: `No FPL entry ${entryId}${gameweek ? ` or no picks for gameweek ${gameweek}` : ''}`
+      });
+    }
+
+    console.error('API error:', error);
+    res.status(error instanceof FplApiError ? 502 : 500).json({
+      error: error instanceof FplApiError ? 'FPL API error' : 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
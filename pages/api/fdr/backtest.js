@@ -0,0 +1,85 @@
+/**
+ * GET /api/fdr/backtest?from=GW&to=GW
+ *
+ * Backtests our custom FDR against FPL's official difficulty on finished
+ * gameweeks: for each gameweek, the FDR snapshot from before it is compared
+ * with actual team points and goals. Returns correlation and calibration
+ * metrics for both models (see lib/fdr-backtest.js).
+ *
+ * Query Parameters:
+ *   - from: Optional first gameweek (default: 1)
+ *   - to: Optional last gameweek (default: last finished gameweek)
+ *
+ * Public endpoint. Also available as a CLI: node scripts/backtest-fdr.js
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { runFdrBacktest } from '../../../lib/fdr-backtest.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { from, to } = req.query;
+
+  const fromGW = from !== undefined ? parseInt(from) : 1;
+  const toGW = to !== undefined ? parseInt(to) : undefined;
+
+  if (isNaN(fromGW) || fromGW < 1 || (to !== undefined && isNaN(toGW))) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be valid gameweeks'
+    });
+  }
+
+  if (toGW !== undefined && fromGW > toGW) {
+    return res.status(400).json({
+      success: false,
+      error: 'from must be less than or equal to to'
+    });
+  }
+
+  try {
+    const startTime = Date.now();
+    const results = await runFdrBacktest(supabase, { from: fromGW, to: toGW });
+
+    return res.status(200).json({
+      success: true,
+      ...results,
+      duration_seconds: parseFloat(((Date.now() - startTime) / 1000).toFixed(2)),
+      note: 'Difficulty should correlate negatively with points and goals_for. easiest_to_hardest_change is the fitted change in the target from the easiest to the hardest rating on each scale.'
+    });
+
+  } catch (error) {
+    console.error('FDR backtest failed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'FDR backtest failed',
+      message: error.message
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 60, // seconds
+};
@@ -3,9 +3,14 @@
  *
  * Returns detailed factor breakdown for a specific team
  * Public endpoint used for debugging and comparison dashboard
+ *
+ * Query Parameters:
+ *   - team_id: Team ID (required)
+ *   - model: Optional FDR weighting model (default: 'balanced')
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { loadFdrModels, weightedDifficulty, splitDifficulty, describeWeights, DEFAULT_FDR_MODEL } from '../../../lib/fdr-models.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -30,7 +35,7 @@ export default async function handler(req, res) {
     });
   }
 
-  const { team_id } = req.query;
+  const { team_id, model = DEFAULT_FDR_MODEL } = req.query;
 
   if (!team_id) {
     return res.status(400).json({
@@ -48,6 +53,18 @@ export default async function handler(req, res) {
   }
 
   try {
+    const models = await loadFdrModels(supabase);
+
+    if (!models.has(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown FDR model: ${model}`,
+        available_models: [...models.keys()]
+      });
+    }
+
+    const fdrModel = models.get(model);
+
     // Get latest calculation for this team
     const { data: calculation, error: calcError } = await supabase
       .from('team_fdr_calculations')
@@ -87,6 +104,21 @@ export default async function handler(req, res) {
       .eq('id', calculation.gameweek_calculated)
       .single();
 
+    // Attack/defence split - calculations stored before the split existed are derived from their factor scores
+    const derivedSplit = splitDifficulty(calculation);
+    const split = key => parseFloat(calculation[key] ?? derivedSplit[key]);
+
+    // Default model uses the stored ratings; other models re-weight this calculation's factor scores
+    const ratings = model === DEFAULT_FDR_MODEL
+      ? {
+          home_difficulty: team.home_difficulty || calculation.home_difficulty || 5,
+          away_difficulty: team.away_difficulty || calculation.away_difficulty || 5
+        }
+      : {
+          home_difficulty: weightedDifficulty(calculation, 'home', fdrModel.weights),
+          away_difficulty: weightedDifficulty(calculation, 'away', fdrModel.weights)
+        };
+
     return res.status(200).json({
       success: true,
       team: {
@@ -111,7 +143,9 @@ export default async function handler(req, res) {
           xg_per_90_score: parseInt(calculation.home_xg_per_90_score || 5),
           xgc_per_90: parseFloat(calculation.home_xgc_per_90 || 0),
           xgc_per_90_score: parseInt(calculation.home_xgc_per_90_score || 5),
-          difficulty: parseFloat(calculation.home_difficulty || 5)
+          difficulty: parseFloat(calculation.home_difficulty || 5),
+          attack_difficulty: split('home_attack_difficulty'),
+          defence_difficulty: split('home_defence_difficulty')
         },
         away: {
           goals_scored_per_90: parseFloat(calculation.away_goals_scored_per_90 || 0),
@@ -122,18 +156,22 @@ export default async function handler(req, res) {
           xg_per_90_score: parseInt(calculation.away_xg_per_90_score || 5),
           xgc_per_90: parseFloat(calculation.away_xgc_per_90 || 0),
           xgc_per_90_score: parseInt(calculation.away_xgc_per_90_score || 5),
-          difficulty: parseFloat(calculation.away_difficulty || 5)
+          difficulty: parseFloat(calculation.away_difficulty || 5),
+          attack_difficulty: split('away_attack_difficulty'),
+          defence_difficulty: split('away_defence_difficulty')
         },
         form: {
           recent_form: parseFloat(calculation.recent_form || 0),
           recent_form_score: parseInt(calculation.recent_form_score || 5)
         }
       },
-      ratings: {
-        home_difficulty: team.home_difficulty || calculation.home_difficulty || 5,
-        away_difficulty: team.away_difficulty || calculation.away_difficulty || 5
+      model: {
+        name: fdrModel.name,
+        label: fdrModel.label,
+        weights: fdrModel.weights
       },
-      note: 'FDR calculation based on 5 factors (20% each): goals scored, goals conceded (inverted), xG, xGC (inverted), and recent form (last 5 games).'
+      ratings,
+      note: `FDR ${fdrModel.label} model weights: ${describeWeights(fdrModel.weights)}. Goals conceded and xGC scores are inverted; recent form covers the last 5 games. attack_difficulty (for attackers) uses goals conceded and xGC only; defence_difficulty (for defenders) uses goals scored and xG only.`
     });
 
   } catch (error) {
@@ -2,6 +2,8 @@
  * POST /api/fdr/calculate
  *
  * Calculates FDR for all teams and updates database
+ * Also computes ratings for every weighting model in fdr_models (see lib/fdr-models.js)
+ * and separate attack/defence difficulty per venue (stored in team_fdr_calculations)
  * Protected endpoint - requires ADMIN_TOKEN or CRON_SECRET
  *
  * Triggered by:
@@ -10,6 +12,8 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { startSyncRun, finishSyncRun } from '../../../lib/sync-runs.js';
+import { loadFdrModels, weightedDifficulty, splitDifficulty, DEFAULT_FDR_MODEL } from '../../../lib/fdr-models.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -52,6 +56,8 @@ export default async function handler(req, res) {
 
   console.log('🎯 Starting automated FDR calculation...');
   const startTime = Date.now();
+  const run = await startSyncRun(supabase, 'fdr-calculate', req);
+  const warnings = [];
 
   try {
     // Step 0: Get current gameweek
@@ -101,6 +107,8 @@ export default async function handler(req, res) {
         // Final difficulty ratings (1-10, can be decimal like 7.5)
         home_difficulty: team.home_difficulty || 5.0,
         away_difficulty: team.away_difficulty || 5.0,
+        // Attack (opponent GC + xGC) and defence (opponent GF + xG) difficulty
+        ...splitDifficulty(team),
         // Goals scored metrics (home/away split)
         home_goals_scored_per_90: team.home_goals_scored_per_90 || 0,
         home_goals_scored_per_90_score: team.home_goals_scored_per_90_score || 5,
@@ -140,6 +148,7 @@ export default async function handler(req, res) {
 
       if (insertError) {
         console.error('  ⚠ Failed to store calculations:', insertError.message);
+        warnings.push(`Store calculations: ${insertError.message}`);
         // Don't fail the whole operation - ratings can still be updated
       } else {
         console.log(`  ✓ Stored ${calculationRecords.length} calculation records`);
@@ -175,6 +184,7 @@ export default async function handler(req, res) {
 
       if (snapshotError) {
         console.error('  ⚠ Failed to store weekly snapshot:', snapshotError.message);
+        warnings.push(`Store weekly snapshot: ${snapshotError.message}`);
       } else {
         console.log(`  ✓ Stored ${snapshotRecords.length} weekly snapshot records for GW ${currentGW.name}`);
       }
@@ -206,6 +216,10 @@ export default async function handler(req, res) {
           away_games: 0,
           home_difficulty: 5.0,
           away_difficulty: 5.0,
+          home_attack_difficulty: 5.0,
+          away_attack_difficulty: 5.0,
+          home_defence_difficulty: 5.0,
+          away_defence_difficulty: 5.0,
           home_goals_scored_per_90: 0,
           home_goals_scored_per_90_score: 5,
           away_goals_scored_per_90: 0,
@@ -237,6 +251,7 @@ export default async function handler(req, res) {
 
         if (backfillError) {
           console.error('  ⚠ Backfill failed:', backfillError.message);
+          warnings.push(`Backfill: ${backfillError.message}`);
         } else {
           console.log(`  ✓ Backfilled ${missingTeams.length} teams`);
         }
@@ -260,19 +275,61 @@ export default async function handler(req, res) {
 
     await Promise.all(updatePromises);
 
+    // Step 5: Re-weight factor scores for every FDR model
+    console.log('  → Calculating FDR model ratings...');
+    const models = await loadFdrModels(supabase);
+    const calculatedAt = new Date().toISOString();
+
+    const modelRecords = [...models.values()].flatMap(model =>
+      fdrResults.map(team => ({
+        team_id: team.team_id,
+        model: model.name,
+        gameweek_calculated: currentGW?.id || null,
+        // Default model is the SQL function's own result, so it matches the teams table
+        home_difficulty: model.name === DEFAULT_FDR_MODEL
+          ? team.home_difficulty || 5.0
+          : weightedDifficulty(team, 'home', model.weights),
+        away_difficulty: model.name === DEFAULT_FDR_MODEL
+          ? team.away_difficulty || 5.0
+          : weightedDifficulty(team, 'away', model.weights),
+        calculated_at: calculatedAt
+      }))
+    );
+
+    const { error: modelError } = await supabase
+      .from('team_fdr_model_ratings')
+      .upsert(modelRecords, { onConflict: 'team_id,model' });
+
+    if (modelError) {
+      console.error('  ⚠ Failed to store model ratings:', modelError.message);
+      warnings.push(`Store model ratings: ${modelError.message}`);
+    } else {
+      console.log(`  ✓ Stored ratings for ${models.size} models (${[...models.keys()].join(', ')})`);
+    }
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
     console.log(`✅ FDR update complete in ${duration}s`);
     console.log(`   Gameweek: ${currentGW?.name || 'Unknown'}`);
     console.log(`   Teams updated: ${fdrResults.length}`);
 
+    await finishSyncRun(supabase, run, {
+      counts: {
+        gameweek_id: currentGW?.id || null,
+        teams_updated: fdrResults.length,
+        models_calculated: modelError ? 0 : models.size
+      },
+      errors: warnings
+    });
+
     // Log some example ratings for verification
-    const topTeams = fdrResults.slice(0, 3);
+    const topTeams = fdrResults.slice(0, 3).map(team => ({ ...team, ...splitDifficulty(team) }));
     console.log('   Sample ratings (top 3 by home goals per 90):');
     topTeams.forEach(team => {
       console.log(`   - ${team.team_name}:`);
       console.log(`     Home: ${team.home_goals_scored_per_90} GF/90 (${team.home_goals_scored_per_90_score}), ${team.home_goals_conceded_per_90} GC/90 (${team.home_goals_conceded_per_90_score}), ${team.home_xg_per_90} xG/90 (${team.home_xg_per_90_score}), Form: ${team.recent_form} (${team.recent_form_score}), PPG: ${team.home_ppg_recent} (${team.home_ppg_recent_score}) → Diff: ${team.home_difficulty}`);
       console.log(`     Away: ${team.away_goals_scored_per_90} GF/90 (${team.away_goals_scored_per_90_score}), ${team.away_goals_conceded_per_90} GC/90 (${team.away_goals_conceded_per_90_score}), ${team.away_xg_per_90} xG/90 (${team.away_xg_per_90_score}), Form: ${team.recent_form} (${team.recent_form_score}), PPG: ${team.away_ppg_recent} (${team.away_ppg_recent_score}) → Diff: ${team.away_difficulty}`);
+      console.log(`     Attack/Defence: Home ${team.home_attack_difficulty}/${team.home_defence_difficulty}, Away ${team.away_attack_difficulty}/${team.away_defence_difficulty}`);
     });
 
     return res.status(200).json({
@@ -281,6 +338,7 @@ export default async function handler(req, res) {
       stats: {
         gameweek: currentGW?.name || 'Unknown',
         teams_updated: fdrResults.length,
+        models_calculated: modelError ? [] : [...models.keys()],
         duration_seconds: parseFloat(duration)
       },
       sample_ratings: topTeams.map(t => ({
@@ -297,6 +355,8 @@ export default async function handler(req, res) {
         recent_form: t.recent_form,
         recent_form_score: t.recent_form_score,
         home_difficulty: t.home_difficulty,
+        home_attack_difficulty: t.home_attack_difficulty,
+        home_defence_difficulty: t.home_defence_difficulty,
         away_goals_scored_per_90: t.away_goals_scored_per_90,
         away_goals_scored_score: t.away_goals_scored_per_90_score,
         away_goals_conceded_per_90: t.away_goals_conceded_per_90,
@@ -307,12 +367,15 @@ export default async function handler(req, res) {
         home_ppg_recent_score: t.home_ppg_recent_score,
         away_ppg_recent: t.away_ppg_recent,
         away_ppg_recent_score: t.away_ppg_recent_score,
-        away_difficulty: t.away_difficulty
+        away_difficulty: t.away_difficulty,
+        away_attack_difficulty: t.away_attack_difficulty,
+        away_defence_difficulty: t.away_defence_difficulty
       }))
     });
 
   } catch (error) {
     console.error('❌ FDR calculation failed:', error);
+    await finishSyncRun(supabase, run, { status: 'failed', errors: [...warnings, error.message] });
 
     return res.status(500).json({
       success: false,
@@ -0,0 +1,121 @@
+/**
+ * GET /api/fdr/history?team_id=1
+ *
+ * Returns the full fdr_weekly_snapshots time series for one team, oldest first,
+ * for charting how its home/away difficulty has moved over the season
+ *
+ * Query Parameters:
+ *   - team_id: Team ID (required)
+ *
+ * Public endpoint used by frontend
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SNAPSHOT_FIELDS } from '../../../lib/fdr-snapshots.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { team_id } = req.query;
+
+  if (!team_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'team_id parameter required'
+    });
+  }
+
+  const teamIdNum = parseInt(team_id);
+  if (isNaN(teamIdNum)) {
+    return res.status(400).json({
+      success: false,
+      error: 'team_id must be a valid integer'
+    });
+  }
+
+  try {
+    const { data: team, error: teamError } = await supabase
+      .from('teams')
+      .select('id, name, short_name, code')
+      .eq('id', teamIdNum)
+      .single();
+
+    if (teamError) {
+      if (teamError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: `Team ${teamIdNum} not found`
+        });
+      }
+      throw new Error(`Failed to fetch team: ${teamError.message}`);
+    }
+
+    const { data: snapshots, error } = await supabase
+      .from('fdr_weekly_snapshots')
+      .select(SNAPSHOT_FIELDS)
+      .eq('team_id', teamIdNum)
+      .order('gameweek_id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch history: ${error.message}`);
+    }
+
+    const history = snapshots.map(s => ({
+      gameweek: s.gameweek_id,
+      season_id: s.season_id,
+      home_difficulty: parseFloat(s.home_difficulty || 5),
+      away_difficulty: parseFloat(s.away_difficulty || 5),
+      home: {
+        goals_scored_per_90: parseFloat(s.home_goals_scored_per_90 || 0),
+        goals_conceded_per_90: parseFloat(s.home_goals_conceded_per_90 || 0),
+        xg_per_90: parseFloat(s.home_xg_per_90 || 0),
+        xgc_per_90: parseFloat(s.home_xgc_per_90 || 0),
+        ppg_recent: parseFloat(s.home_ppg_recent || 0)
+      },
+      away: {
+        goals_scored_per_90: parseFloat(s.away_goals_scored_per_90 || 0),
+        goals_conceded_per_90: parseFloat(s.away_goals_conceded_per_90 || 0),
+        xg_per_90: parseFloat(s.away_xg_per_90 || 0),
+        xgc_per_90: parseFloat(s.away_xgc_per_90 || 0),
+        ppg_recent: parseFloat(s.away_ppg_recent || 0)
+      },
+      recent_form: parseFloat(s.recent_form || 0)
+    }));
+
+    return res.status(200).json({
+      success: true,
+      team,
+      history,
+      count: history.length
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch FDR history:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch FDR history',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * GET /api/fdr/movers?from=GW&to=GW
+ *
+ * Compares two fdr_weekly_snapshots gameweeks and returns the teams whose
+ * home/away difficulty changed most, with the per-factor deltas (goals, xG,
+ * form, PPG) that explain each move
+ *
+ * Query Parameters:
+ *   - from: Optional earlier gameweek (defaults to the snapshot before `to`)
+ *   - to: Optional later gameweek (defaults to the latest snapshot)
+ *   - limit: Optional number of teams to return (default: all)
+ *
+ * Public endpoint used by frontend
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SNAPSHOT_FIELDS, getSnapshotGameweeks, compareSnapshots } from '../../../lib/fdr-snapshots.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { from, to, limit } = req.query;
+
+  const fromGW = from !== undefined ? parseInt(from) : undefined;
+  const toGW = to !== undefined ? parseInt(to) : undefined;
+  const limitNum = limit !== undefined ? parseInt(limit) : undefined;
+
+  if ((from !== undefined && isNaN(fromGW)) || (to !== undefined && isNaN(toGW))) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be valid gameweeks'
+    });
+  }
+
+  if (limit !== undefined && (isNaN(limitNum) || limitNum < 1)) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be a positive integer'
+    });
+  }
+
+  try {
+    const gameweeks = await getSnapshotGameweeks(supabase);
+
+    const resolvedTo = toGW ?? gameweeks[gameweeks.length - 1];
+    const resolvedFrom = fromGW ?? [...gameweeks].reverse().find(gw => gw < resolvedTo);
+
+    if (resolvedTo === undefined || resolvedFrom === undefined) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not enough snapshots to compare',
+        message: 'fdr_weekly_snapshots needs at least two gameweeks. Snapshots are written by /api/fdr/calculate.',
+        available_gameweeks: gameweeks
+      });
+    }
+
+    if (resolvedFrom >= resolvedTo) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be less than to'
+      });
+    }
+
+    const missing = [resolvedFrom, resolvedTo].filter(gw => !gameweeks.includes(gw));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No snapshot for gameweek ${missing.join(', ')}`,
+        available_gameweeks: gameweeks
+      });
+    }
+
+    const [snapshotsResult, teamsResult] = await Promise.all([
+      supabase
+        .from('fdr_weekly_snapshots')
+        .select(SNAPSHOT_FIELDS)
+        .in('gameweek_id', [resolvedFrom, resolvedTo]),
+      supabase
+        .from('teams')
+        .select('id, name, short_name, code')
+    ]);
+
+    if (snapshotsResult.error) {
+      throw new Error(`Failed to fetch snapshots: ${snapshotsResult.error.message}`);
+    }
+    if (teamsResult.error) {
+      throw new Error(`Failed to fetch teams: ${teamsResult.error.message}`);
+    }
+
+    const snapshotFor = (teamId, gw) =>
+      snapshotsResult.data.find(s => s.team_id === teamId && s.gameweek_id === gw);
+
+    const movers = teamsResult.data
+      .map(team => {
+        const fromSnapshot = snapshotFor(team.id, resolvedFrom);
+        const toSnapshot = snapshotFor(team.id, resolvedTo);
+        if (!fromSnapshot || !toSnapshot) return null;
+
+        return {
+          id: team.id,
+          name: team.name,
+          short_name: team.short_name,
+          code: team.code,
+          ...compareSnapshots(fromSnapshot, toSnapshot)
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.max_change - a.max_change);
+
+    const teams = limitNum ? movers.slice(0, limitNum) : movers;
+
+    return res.status(200).json({
+      success: true,
+      from: resolvedFrom,
+      to: resolvedTo,
+      teams,
+      count: teams.length,
+      note: 'change = to - from (positive = harder to play against). Factor deltas are raw per-90 values; goals/xG conceded rising makes a team easier.'
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch FDR movers:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch FDR movers',
+      message: error.message
+    });
+  }
+}
@@ -2,10 +2,16 @@
  * GET /api/fdr/ratings
  *
  * Returns current FDR ratings for all teams
+ * Also returns attack difficulty (for attackers - opponent goals/xG conceded) and
+ * defence difficulty (for defenders - opponent goals/xG scored) from team_fdr_calculations
  * Public endpoint used by frontend
+ *
+ * Query Parameters:
+ *   - model: Optional FDR weighting model (default: 'balanced'), e.g. 'attack', 'defence', 'xg-heavy'
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { loadFdrModels, getModelRatings, DEFAULT_FDR_MODEL } from '../../../lib/fdr-models.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -30,7 +36,22 @@ export default async function handler(req, res) {
     });
   }
 
+  const { model = DEFAULT_FDR_MODEL } = req.query;
+
   try {
+    const models = await loadFdrModels(supabase);
+
+    if (!models.has(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown FDR model: ${model}`,
+        available_models: [...models.keys()]
+      });
+    }
+
+    // Non-default models come from team_fdr_model_ratings (null for the default model)
+    const modelRatings = await getModelRatings(supabase, model);
+
     // Fetch latest ratings from teams table
     const { data: teams, error } = await supabase
       .from('teams')
@@ -41,6 +62,17 @@ export default async function handler(req, res) {
       throw new Error(`Failed to fetch ratings: ${error.message}`);
     }
 
+    // Attack/defence split is independent of the weighting model
+    const { data: calculations, error: calcError } = await supabase
+      .from('team_fdr_calculations')
+      .select('team_id, home_attack_difficulty, away_attack_difficulty, home_defence_difficulty, away_defence_difficulty');
+
+    if (calcError) {
+      throw new Error(`Failed to fetch attack/defence ratings: ${calcError.message}`);
+    }
+
+    const splitByTeam = Object.fromEntries(calculations.map(calc => [calc.team_id, calc]));
+
     // Check if data is stale (>1 hour old)
     const latestUpdate = teams[0]?.updated_at;
     const ONE_HOUR = 60 * 60 * 1000;
@@ -52,8 +84,12 @@ export default async function handler(req, res) {
       name: team.name,
       short_name: team.short_name,
       code: team.code,
-      h_diff: team.home_difficulty || 5,
-      a_diff: team.away_difficulty || 5
+      h_diff: (modelRatings ? modelRatings[team.id]?.home_difficulty : team.home_difficulty) || 5,
+      a_diff: (modelRatings ? modelRatings[team.id]?.away_difficulty : team.away_difficulty) || 5,
+      h_attack_diff: splitByTeam[team.id]?.home_attack_difficulty || 5,
+      a_attack_diff: splitByTeam[team.id]?.away_attack_difficulty || 5,
+      h_defence_diff: splitByTeam[team.id]?.home_defence_difficulty || 5,
+      a_defence_diff: splitByTeam[team.id]?.away_defence_difficulty || 5
     }));
 
     // Trigger background FDR calculation if data is stale (fire-and-forget)
@@ -66,7 +102,8 @@ export default async function handler(req, res) {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'X-Sync-Source': 'fdr-ratings-stale'
         }
       }).catch(err => {
         console.error('Background FDR update failed:', err.message);
@@ -76,6 +113,11 @@ export default async function handler(req, res) {
 
     return res.status(200).json({
       success: true,
+      model: {
+        name: model,
+        label: models.get(model).label,
+        weights: models.get(model).weights
+      },
       teams: ratings,
       updated_at: teams[0]?.updated_at || null,
       count: teams.length
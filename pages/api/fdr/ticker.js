@@ -0,0 +1,107 @@
+/**
+ * GET /api/fdr/ticker?from=GW&horizon=N
+ *
+ * Returns each team's next N gameweeks of fixtures with opponent, venue,
+ * our custom difficulty (teams.home_difficulty/away_difficulty) and FPL's
+ * official difficulty side by side, plus cumulative difficulty and rank.
+ * Blank gameweeks (no fixture) and double gameweeks (two fixtures) are included.
+ *
+ * Query Parameters:
+ *   - from: Optional first gameweek (defaults to the next unfinished gameweek)
+ *   - horizon: Optional number of gameweeks (default: 6, max: 38)
+ *   - model: Optional FDR weighting model for our difficulty (default: 'balanced')
+ *
+ * Public endpoint used by the frontend fixture ticker
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { resolveGameweekWindow, buildFixtureTicker, DEFAULT_HORIZON } from '../../../lib/fdr-ticker.js';
+import { loadFdrModels, getModelRatings, DEFAULT_FDR_MODEL } from '../../../lib/fdr-models.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const MAX_HORIZON = 38;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const { from, horizon, model = DEFAULT_FDR_MODEL } = req.query;
+
+  const fromGW = from !== undefined ? parseInt(from) : undefined;
+  if (from !== undefined && (isNaN(fromGW) || fromGW < 1)) {
+    return res.status(400).json({
+      success: false,
+      error: 'from must be a valid gameweek'
+    });
+  }
+
+  const horizonNum = horizon !== undefined ? parseInt(horizon) : DEFAULT_HORIZON;
+  if (isNaN(horizonNum) || horizonNum < 1 || horizonNum > MAX_HORIZON) {
+    return res.status(400).json({
+      success: false,
+      error: `horizon must be an integer between 1 and ${MAX_HORIZON}`
+    });
+  }
+
+  try {
+    const models = await loadFdrModels(supabase);
+
+    if (!models.has(model)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown FDR model: ${model}`,
+        available_models: [...models.keys()]
+      });
+    }
+
+    const window = await resolveGameweekWindow(supabase, { from: fromGW, horizon: horizonNum });
+
+    if (window.from > window.lastGW) {
+      return res.status(400).json({
+        success: false,
+        error: `from must be at most ${window.lastGW}`
+      });
+    }
+
+    const ratings = await getModelRatings(supabase, model);
+    const teams = await buildFixtureTicker(supabase, { from: window.from, to: window.to, ratings });
+
+    return res.status(200).json({
+      success: true,
+      from: window.from,
+      to: window.to,
+      horizon: window.to - window.from + 1,
+      model,
+      teams,
+      count: teams.length,
+      note: 'difficulty is our custom FDR (1-10), fpl_difficulty is FPL official (1-5). Blank gameweeks count as one fixture at maximum difficulty. rank 1 = easiest run.'
+    });
+
+  } catch (error) {
+    console.error('Failed to build FDR ticker:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build FDR ticker',
+      message: error.message
+    });
+  }
+}
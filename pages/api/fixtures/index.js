@@ -0,0 +1,132 @@
+/**
+ * API Endpoint: /api/fixtures
+ *
+ * Returns fixtures from the fixtures table (synced by /api/sync/fixtures)
+ * Used by the frontend fixture ticker instead of calling FPL directly
+ *
+ * Query Parameters:
+ *   - from: Optional first gameweek (inclusive)
+ *   - to: Optional last gameweek (inclusive)
+ *   - team: Optional team ID (home or away)
+ *   - finished: Optional "true"/"false" to filter by finished status
+ *   - includeStats: Optional "true" to include per-fixture stats (goals, assists, bonus, bps...)
+ *
+ * Example:
+ *   GET /api/fixtures?from=20&to=25
+ *   GET /api/fixtures?team=1&finished=false
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const FIXTURE_FIELDS = `
+  id,
+  event,
+  kickoff_time,
+  team_h,
+  team_a,
+  team_h_score,
+  team_a_score,
+  started,
+  finished,
+  finished_provisional,
+  minutes,
+  team_h_difficulty,
+  team_a_difficulty,
+  updated_at,
+  home_team:teams!team_h(id, name, short_name),
+  away_team:teams!team_a(id, name, short_name)
+`;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { from, to, team, finished, includeStats } = req.query;
+
+  const fromGW = from !== undefined ? parseInt(from) : null;
+  const toGW = to !== undefined ? parseInt(to) : null;
+  const teamId = team !== undefined ? parseInt(team) : null;
+
+  if ((from !== undefined && isNaN(fromGW)) || (to !== undefined && isNaN(toGW))) {
+    return res.status(400).json({
+      error: 'Invalid gameweek range',
+      message: 'from and to must be valid integers'
+    });
+  }
+
+  if (fromGW !== null && toGW !== null && fromGW > toGW) {
+    return res.status(400).json({
+      error: 'Invalid gameweek range',
+      message: 'from must be less than or equal to to'
+    });
+  }
+
+  if (team !== undefined && isNaN(teamId)) {
+    return res.status(400).json({
+      error: 'Invalid team ID',
+      message: 'team must be a valid integer'
+    });
+  }
+
+  try {
+    const fields = includeStats === 'true' ? `${FIXTURE_FIELDS}, stats` : FIXTURE_FIELDS;
+
+    let query = supabase
+      .from('fixtures')
+      .select(fields)
+      .order('event', { ascending: true, nullsFirst: false })
+      .order('kickoff_time', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (fromGW !== null) query = query.gte('event', fromGW);
+    if (toGW !== null) query = query.lte('event', toGW);
+    if (teamId !== null) query = query.or(`team_h.eq.${teamId},team_a.eq.${teamId}`);
+    if (finished === 'true' || finished === 'false') query = query.eq('finished', finished === 'true');
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase query error:', error);
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta: {
+        fixture_count: data.length,
+        filters: {
+          from: fromGW,
+          to: toGW,
+          team: teamId,
+          finished: finished ?? null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
@@ -1,4 +1,34 @@
-import fetch from 'isomorphic-unfetch';
+/**
+ * GET /api?endpoint=
+ *
+ * Proxy for the FPL API, cached per path with per-endpoint TTLs
+ * (see lib/response-cache.js). Paths the cache doesn't know are passed
+ * through uncached (Cache-Control: no-store, X-Cache: BYPASS).
+ *
+ * Query Parameters:
+ *   - endpoint: FPL API path, e.g. "bootstrap-static/" or "event/12/live/"
+ *   - playerId: Player ID when endpoint is "element-summary"
+ *
+ * Responses carry an ETag and Cache-Control max-age for the time left on the
+ * cached entry; If-None-Match with the current ETag gets a 304.
+ *
+ * Environment variables (optional):
+ *   FPL_CACHE_STORE - "supabase" to share the cache through the fpl_api_cache
+ *                     table (needs SUPABASE_SERVICE_KEY); in-memory otherwise
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { FplApiError } from '../../lib/fpl-client.js';
+import { createResponseCache, createMemoryStore, createSupabaseStore } from '../../lib/response-cache.js';
+
+const cache = createResponseCache({
+  store: process.env.FPL_CACHE_STORE === 'supabase'
+    ? createSupabaseStore(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY))
+    : createMemoryStore()
+});
+
+// Let CDNs keep serving a just-expired response while one request refreshes it
+const STALE_WHILE_REVALIDATE_SECONDS = 60;
 
 export default async (req, res) => {
   // Add CORS headers to allow cross-origin requests
@@ -8,6 +38,7 @@ export default async (req, res) => {
     'Access-Control-Allow-Methods',
     'GET,OPTIONS,PATCH,DELETE,POST,PUT'
   );
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, X-Cache');
 
   console.log('Received request:', req.method, req.url); // Log the request method and URL
 
@@ -15,41 +46,47 @@ export default async (req, res) => {
     const { endpoint, playerId } = req.query;
     console.log('Endpoint requested:', endpoint); // Log the requested endpoint
 
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint parameter is required' });
+    }
+
+    // Handle element-summary endpoint with player ID
+    const path = endpoint === 'element-summary' && playerId
+      ? `element-summary/${playerId}/`
+      : endpoint;
+
     try {
-      let responseData;
-      let apiUrl;
-
-      // Handle element-summary endpoint with player ID
-      if (endpoint === 'element-summary' && playerId) {
-        apiUrl = `https://fantasy.premierleague.com/api/element-summary/${playerId}/`;
-      } else {
-        apiUrl = `https://fantasy.premierleague.com/api/${endpoint}`;
-      }
+      const { data, etag, maxAge, hit, cached } = await cache.fetch(path);
 
-      // Fetch data based on the specified endpoint with browser-like headers
-      const response = await fetch(apiUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'application/json',
-          'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-          'Referer': 'https://fantasy.premierleague.com/'
-        }
-      });
-
-      // Check if the response is okay
-      if (!response.ok) {
-        console.error('Failed to fetch data, response status:', response.status); // Log the error response status
-        return res.status(response.status).json({ error: 'Failed to fetch data' });
+      if (!cached) {
+        console.log(`Served ${path} (not cached)`);
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Cache', 'BYPASS');
+        return res.status(200).json(data);
       }
 
-      responseData = await response.json();
-      console.log('Fetched data successfully:', responseData); // Log the fetched data
+      console.log(`Served ${path} (cache ${hit ? 'hit' : 'miss'}, ${maxAge}s left)`);
+
+      res.setHeader('ETag', etag);
+      res.setHeader('Cache-Control', `public, max-age=${maxAge}, s-maxage=${maxAge}, stale-while-revalidate=${STALE_WHILE_REVALIDATE_SECONDS}`);
+      res.setHeader('X-Cache', hit ? 'HIT' : 'MISS');
+
+      // Client already has this version
+      const ifNoneMatch = req.headers['if-none-match'];
+      if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+        return res.status(304).end();
+      }
 
       // Send back the fetched data as the API response
-      res.status(200).json(responseData);
+      res.status(200).json(data);
 
     } catch (error) {
-      console.error('Error fetching data:', error); // Log the caught error
+      console.error('Error fetching data:', error.message); // Log the caught error
+
+      // Pass FPL's error status through (its rate-limit page comes with a 200, so 502 for that)
+      if (error instanceof FplApiError) {
+        return res.status(error.status >= 400 ? error.status : 502).json({ error: 'Failed to fetch data' });
+      }
       res.status(500).json({ error: 'Something went wrong' });
     }
   } else {
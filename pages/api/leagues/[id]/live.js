@@ -0,0 +1,126 @@
+/**
+ * API Endpoint: /api/leagues/[id]/live
+ *
+ * Live standings for a classic (mini-)league: each member's picks scored
+ * against FPL's live points with provisional bonus, captain/vice-captain,
+ * auto-subs and chips (bench boost, triple captain, assistant manager),
+ * re-ranked on projected totals. See lib/league-live.js and lib/team-scoring.js.
+ *
+ * Leagues of up to 100 members only - every member's picks are fetched from
+ * FPL (through the response cache, see lib/response-cache.js). Leagues that
+ * start after gameweek 1 are ranked on points since their start gameweek,
+ * like FPL does, which also fetches each member's history.
+ *
+ * Path Parameters:
+ *   - id: FPL classic league ID
+ *
+ * Query Parameters:
+ *   - gw: Optional gameweek (defaults to the current gameweek)
+ *   - picks: Optional "true" to include each member's scored picks
+ *
+ * Example:
+ *   GET /api/leagues/314159/live
+ *   GET /api/leagues/314159/live?gw=12&picks=true
+ *
+ * Environment variables (optional):
+ *   FPL_CACHE_STORE - "supabase" to share cached member requests through the
+ *                     fpl_api_cache table (needs SUPABASE_SERVICE_KEY); in-memory otherwise
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { FplApiError } from '../../../../lib/fpl-client.js';
+import { getLiveLeague, MAX_LEAGUE_MEMBERS } from '../../../../lib/league-live.js';
+import { createResponseCache, createMemoryStore, createSupabaseStore } from '../../../../lib/response-cache.js';
+
+const cache = createResponseCache({
+  store: process.env.FPL_CACHE_STORE === 'supabase'
+    ? createSupabaseStore(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY))
+    : createMemoryStore()
+});
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, gw, picks } = req.query;
+
+  const leagueId = parseInt(id);
+  if (isNaN(leagueId) || leagueId < 1) {
+    return res.status(400).json({
+      error: 'Invalid league ID',
+      message: 'League ID must be a positive integer'
+    });
+  }
+
+  const gameweek = gw !== undefined ? parseInt(gw) : undefined;
+  if (gw !== undefined && (isNaN(gameweek) || gameweek < 1 || gameweek > 38)) {
+    return res.status(400).json({
+      error: 'Invalid gameweek',
+      message: 'gw must be between 1 and 38'
+    });
+  }
+
+  try {
+    const result = await getLiveLeague({
+      leagueId,
+      gameweek,
+      includePicks: picks === 'true',
+      cache
+    });
+
+    if (!result.complete) {
+      return res.status(400).json({
+        error: 'League too large',
+        message: `Live standings are only available for leagues of up to ${MAX_LEAGUE_MEMBERS} members`
+      });
+    }
+
+    if (!result.started) {
+      return res.status(400).json({
+        error: 'League not started',
+        message: `League ${leagueId} counts points from gameweek ${result.league.start_event}, after gameweek ${result.gameweek}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      league: result.league,
+      gameweek: result.gameweek,
+      status: result.status,
+      member_count: result.standings.length,
+      standings: result.standings,
+      note: 'live_total = previous_total + live_points - transfer_cost. Live points include provisional bonus; auto-subs are made once a starter has finished the gameweek without playing.'
+    });
+
+  } catch (error) {
+    if (error instanceof FplApiError && error.status === 404) {
+      return res.status(404).json({
+        error: 'League not found',
+        message: `No FPL classic league ${leagueId}${gameweek ? ` or no live data for gameweek ${gameweek}` : ''}`
+      });
+    }
+
+    console.error('API error:', error);
+    res.status(error instanceof FplApiError ? 502 : 500).json({
+      error: error instanceof FplApiError ? 'FPL API error' : 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 60, // seconds
+};
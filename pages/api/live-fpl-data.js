@@ -1,4 +1,4 @@
-import fetch from 'node-fetch';
+import fpl from '../../lib/fpl-client.js';
 
 export default async function handler(req, res) {
   const { gameweek } = req.query;
@@ -8,14 +8,10 @@ export default async function handler(req, res) {
   }
 
   try {
-    const response = await fetch(`https://fantasy.premierleague.com/api/event/${gameweek}/live/`);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch data from FPL API: ${response.statusText}`);
-    }
-    const data = await response.json();
+    const data = await fpl.getEventLive(gameweek);
     res.status(200).json(data);
   } catch (error) {
     console.error('Error in live-fpl-data API route:', error);
     res.status(500).json({ error: 'Internal Server Error', details: error.message });
   }
-}
\ No newline at end of file
+}
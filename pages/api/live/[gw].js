@@ -0,0 +1,203 @@
+/**
+ * GET /api/live/:gw
+ *
+ * Live points for a gameweek from live_player_points (written by
+ * /api/sync/live-points), with provisional bonus where FPL hasn't confirmed
+ * it yet (see lib/live-points.js)
+ *
+ * Returns:
+ * - fixtures: score, status, bonus (provisional or confirmed), top BPS and
+ *   each side's total live points
+ * - players: live totals, sorted by live_total
+ *
+ * Query Parameters:
+ *   - playerIds: Optional comma-separated player IDs to limit the players list
+ *
+ * Example:
+ *   GET /api/live/12
+ *   GET /api/live/12?playerIds=1,2,3
+ *
+ * Public endpoint used by frontend
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { fetchAllRows } from '../../../lib/paginate.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const BPS_LEADERS = 5;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const gameweek = parseInt(req.query.gw);
+  if (isNaN(gameweek) || gameweek < 1 || gameweek > 38) {
+    return res.status(400).json({
+      success: false,
+      error: 'gw must be between 1 and 38'
+    });
+  }
+
+  const { playerIds } = req.query;
+  const playerIdArray = playerIds ? playerIds.split(',').map(id => parseInt(id.trim())) : null;
+  if (playerIdArray && playerIdArray.some(isNaN)) {
+    return res.status(400).json({
+      success: false,
+      error: 'playerIds must be comma-separated integers'
+    });
+  }
+
+  try {
+    const [livePoints, playersResult, teamsResult, fixturesResult] = await Promise.all([
+      fetchAllRows(() => supabase
+        .from('live_player_points')
+        .select('*')
+        .eq('gameweek_id', gameweek)
+        .order('player_id', { ascending: true })),
+      fetchAllRows(() => supabase
+        .from('players')
+        .select('id, web_name, element_type, team_id')
+        .order('id', { ascending: true })),
+      supabase
+        .from('teams')
+        .select('id, name, short_name'),
+      supabase
+        .from('fixtures')
+        .select('id, kickoff_time, team_h, team_a, team_h_score, team_a_score, started, finished, finished_provisional, minutes')
+        .eq('event', gameweek)
+        .order('kickoff_time', { ascending: true })
+    ]);
+
+    for (const result of [teamsResult, fixturesResult]) {
+      if (result.error) {
+        throw new Error(result.error.message);
+      }
+    }
+
+    if (livePoints.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No live points for gameweek ${gameweek}`,
+        message: 'Live points are stored by /api/sync/live-points once matches have started.'
+      });
+    }
+
+    const playersById = new Map(playersResult.map(player => [player.id, player]));
+    const teamsById = new Map(teamsResult.data.map(team => [team.id, team]));
+
+    const players = livePoints.map(row => {
+      const player = playersById.get(row.player_id);
+      return {
+        player_id: row.player_id,
+        web_name: player?.web_name,
+        element_type: player?.element_type,
+        team_id: player?.team_id,
+        team_short_name: teamsById.get(player?.team_id)?.short_name,
+        minutes: row.minutes,
+        goals_scored: row.goals_scored,
+        assists: row.assists,
+        clean_sheets: row.clean_sheets,
+        saves: row.saves,
+        bps: row.bps,
+        bonus: row.bonus,
+        provisional_bonus: row.provisional_bonus,
+        total_points: row.total_points,
+        live_total: row.live_total,
+        fixtures: row.fixtures
+      };
+    });
+
+    const fixtures = fixturesResult.data.map(fixture => {
+      // Everyone with an entry for this fixture, with their points in it
+      const entries = players.flatMap(player => {
+        const entry = (player.fixtures || []).find(f => f.fixture_id === fixture.id);
+        return entry ? [{ player, entry }] : [];
+      });
+
+      const side = (teamId, score) => ({
+        id: teamId,
+        short_name: teamsById.get(teamId)?.short_name,
+        score,
+        live_points: entries
+          .filter(({ player }) => player.team_id === teamId)
+          .reduce((sum, { entry }) => sum + entry.points + entry.provisional_bonus, 0)
+      });
+
+      const byBps = [...entries].sort((a, b) => b.entry.bps - a.entry.bps);
+
+      return {
+        fixture_id: fixture.id,
+        kickoff_time: fixture.kickoff_time,
+        minutes: fixture.minutes,
+        started: fixture.started,
+        finished_provisional: fixture.finished_provisional,
+        finished: fixture.finished,
+        bonus_confirmed: fixture.finished,
+        team_h: side(fixture.team_h, fixture.team_h_score),
+        team_a: side(fixture.team_a, fixture.team_a_score),
+        bonus: byBps
+          .filter(({ entry }) => (fixture.finished ? entry.bonus : entry.provisional_bonus) > 0)
+          .map(({ player, entry }) => ({
+            player_id: player.player_id,
+            web_name: player.web_name,
+            bps: entry.bps,
+            bonus: fixture.finished ? entry.bonus : entry.provisional_bonus
+          })),
+        bps_leaders: byBps.slice(0, BPS_LEADERS).map(({ player, entry }) => ({
+          player_id: player.player_id,
+          web_name: player.web_name,
+          team_short_name: player.team_short_name,
+          bps: entry.bps
+        }))
+      };
+    });
+
+    const listed = (playerIdArray ? players.filter(p => playerIdArray.includes(p.player_id)) : players)
+      .sort((a, b) => b.live_total - a.live_total);
+
+    const updatedAt = livePoints.reduce((latest, row) => (row.updated_at > latest ? row.updated_at : latest), livePoints[0].updated_at);
+
+    return res.status(200).json({
+      success: true,
+      gameweek,
+      updated_at: updatedAt,
+      status: {
+        fixtures: fixtures.length,
+        started: fixtures.filter(f => f.started).length,
+        in_progress: fixtures.filter(f => f.started && !f.finished_provisional).length,
+        finished: fixtures.filter(f => f.finished).length
+      },
+      fixtures,
+      players: listed,
+      count: listed.length,
+      note: 'live_total = total_points + provisional_bonus. Provisional bonus is 3/2/1 for the top BPS in each fixture until FPL confirms bonus (fixture finished).'
+    });
+
+  } catch (error) {
+    console.error('Failed to load live points:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load live points',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * GET /api/live/stream
+ *
+ * Server-Sent Events stream of live gameweek changes - goals, assists, cards,
+ * bonus (provisional or confirmed) and minutes - as /api/sync/live-points
+ * detects them between polls of FPL's live endpoint (stored in live_events).
+ *
+ * Each event's `id:` is its live_events ID. Serverless functions can't hold a
+ * connection open indefinitely, so the stream ends after STREAM_DURATION_MS;
+ * EventSource reconnects after `retry:` and sends Last-Event-ID, and the
+ * stream resumes from there with nothing missed.
+ *
+ * Events:
+ *   - ready: First message; `data.last_event_id` is where the stream starts
+ *   - goal, assist, yellow_card, red_card, minutes, bonus: One per change,
+ *     data = { gameweek_id, player_id, fixture_id, web_name, from, to, delta,
+ *     live_total, created_at } (bonus adds `provisional`)
+ *   - stream_error: The server failed to read events; data = { error, message }.
+ *     The stream then ends and EventSource reconnects. (Not named `error`,
+ *     which EventSource already fires for dropped connections.)
+ *
+ * Query Parameters:
+ *   - gw: Optional gameweek (defaults to the current gameweek)
+ *   - lastEventId: Optional resume point for clients that can't send the
+ *     Last-Event-ID header
+ *
+ * Without a resume point the stream starts after the latest event - load the
+ * current state from GET /api/live/:gw first.
+ *
+ * Example:
+ *   const source = new EventSource('/api/live/stream?gw=12');
+ *   source.addEventListener('goal', (e) => console.log(JSON.parse(e.data)));
+ *
+ * Public endpoint used by frontend
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { delay } from '../../../lib/fpl-client.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const POLL_INTERVAL_MS = 5000;
+const STREAM_DURATION_MS = 50000; // Under maxDuration, so the stream ends cleanly
+const RECONNECT_MS = 3000;
+const EVENTS_PER_POLL = 500;
+
+async function getCurrentGameweek() {
+  const { data, error } = await supabase
+    .from('gameweeks')
+    .select('id')
+    .eq('is_current', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get current gameweek: ${error.message}`);
+  }
+
+  return data?.id ?? null;
+}
+
+async function getLatestEventId(gameweek) {
+  const { data, error } = await supabase
+    .from('live_events')
+    .select('id')
+    .eq('gameweek_id', gameweek)
+    .order('id', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to get latest live event: ${error.message}`);
+  }
+
+  return data[0]?.id ?? 0;
+}
+
+async function getEventsAfter(gameweek, lastEventId) {
+  const { data, error } = await supabase
+    .from('live_events')
+    .select('id, gameweek_id, player_id, fixture_id, type, data, created_at')
+    .eq('gameweek_id', gameweek)
+    .gt('id', lastEventId)
+    .order('id', { ascending: true })
+    .limit(EVENTS_PER_POLL);
+
+  if (error) {
+    throw new Error(`Failed to get live events: ${error.message}`);
+  }
+
+  return data;
+}
+
+function writeEvent(res, { id, event, data }) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const requestedGW = req.query.gw !== undefined ? parseInt(req.query.gw) : null;
+  if (req.query.gw !== undefined && (isNaN(requestedGW) || requestedGW < 1 || requestedGW > 38)) {
+    return res.status(400).json({
+      success: false,
+      error: 'gw must be between 1 and 38'
+    });
+  }
+
+  const resumeFrom = req.headers['last-event-id'] ?? req.query.lastEventId;
+  const resumeId = resumeFrom !== undefined ? parseInt(resumeFrom) : null;
+  if (resumeFrom !== undefined && (isNaN(resumeId) || resumeId < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Last-Event-ID must be a non-negative integer'
+    });
+  }
+
+  let gameweek;
+  let lastEventId;
+
+  try {
+    gameweek = requestedGW ?? await getCurrentGameweek();
+    if (!gameweek) {
+      return res.status(404).json({
+        success: false,
+        error: 'No current gameweek'
+      });
+    }
+
+    lastEventId = resumeId ?? await getLatestEventId(gameweek);
+  } catch (error) {
+    console.error('Failed to start live stream:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to start live stream',
+      message: error.message
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+  writeEvent(res, {
+    id: lastEventId,
+    event: 'ready',
+    data: { gameweek, last_event_id: lastEventId }
+  });
+
+  const endAt = Date.now() + STREAM_DURATION_MS;
+
+  try {
+    while (!closed && Date.now() < endAt) {
+      const events = await getEventsAfter(gameweek, lastEventId);
+
+      for (const event of events) {
+        writeEvent(res, {
+          id: event.id,
+          event: event.type,
+          data: {
+            gameweek_id: event.gameweek_id,
+            player_id: event.player_id,
+            fixture_id: event.fixture_id,
+            ...event.data,
+            created_at: event.created_at
+          }
+        });
+        lastEventId = event.id;
+      }
+
+      // A full page means there's more waiting - fetch it straight away
+      if (events.length === EVENTS_PER_POLL) continue;
+
+      // Comment line keeps proxies from closing an idle connection
+      if (events.length === 0) res.write(': keep-alive\n\n');
+
+      await delay(Math.min(POLL_INTERVAL_MS, Math.max(endAt - Date.now(), 0)));
+    }
+  } catch (error) {
+    console.error('Live stream failed:', error);
+    writeEvent(res, {
+      event: 'stream_error',
+      data: { error: 'Live stream failed', message: error.message }
+    });
+  }
+
+  res.end();
+}
+
+export const config = {
+  maxDuration: 60, // seconds
+  api: {
+    responseLimit: false
+  }
+};
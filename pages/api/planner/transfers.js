@@ -0,0 +1,206 @@
+/**
+ * POST /api/planner/transfers
+ *
+ * Suggests the best 0-N transfers for a squad over the next few gameweeks,
+ * respecting FPL rules (budget, max 3 per club, position counts, -4 hits) and
+ * scored with projected points (see lib/transfer-planner.js)
+ *
+ * Body (JSON):
+ *   - squad: Array of 15 player IDs (or entry_id instead)
+ *   - entry_id: Optional FPL entry ID - loads squad and bank from the manager's latest picks
+ *     (the gameweek before in a Free Hit week, since that squad is temporary)
+ *   - bank: Money in the bank in £m (required with squad, defaults to the entry's bank)
+ *   - free_transfers: Optional free transfers available (default: 1)
+ *   - max_transfers: Optional most transfers to consider (default: 2, max: 3)
+ *   - horizon: Optional number of gameweeks to score (default: 3, max: 8)
+ *   - selling_prices: Optional { playerId: £m } - FPL selling prices aren't public, defaults to current price
+ *
+ * Example:
+ *   POST /api/planner/transfers
+ *   { "entry_id": 123456, "free_transfers": 2, "horizon": 5 }
+ *
+ * Public endpoint
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fpl, { FplApiError } from '../../../lib/fpl-client.js';
+import { resolveGameweekWindow } from '../../../lib/fdr-ticker.js';
+import { loadPlannerPlayers, validateSquad, planTransfers } from '../../../lib/transfer-planner.js';
+import { CHIPS, MANAGER } from '../../../lib/team-scoring.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const DEFAULT_MAX_TRANSFERS = 2;
+const MAX_TRANSFERS = 3;
+const DEFAULT_HORIZON = 3;
+const MAX_HORIZON = 8;
+
+const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const {
+    squad: squadIds,
+    entry_id: entryId,
+    bank,
+    free_transfers: freeTransfers = 1,
+    max_transfers: maxTransfers = DEFAULT_MAX_TRANSFERS,
+    horizon = DEFAULT_HORIZON,
+    selling_prices: sellingPrices = {}
+  } = req.body || {};
+
+  if (!squadIds && !entryId) {
+    return res.status(400).json({
+      success: false,
+      error: 'squad (15 player IDs) or entry_id required'
+    });
+  }
+
+  if (squadIds && (!Array.isArray(squadIds) || !squadIds.every(id => Number.isInteger(id)))) {
+    return res.status(400).json({
+      success: false,
+      error: 'squad must be an array of player IDs'
+    });
+  }
+
+  if (squadIds && (typeof bank !== 'number' || bank < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'bank (£m, e.g. 1.5) is required with squad'
+    });
+  }
+
+  if (!isInteger(freeTransfers, 0, 5) || !isInteger(maxTransfers, 0, MAX_TRANSFERS) || !isInteger(horizon, 1, MAX_HORIZON)) {
+    return res.status(400).json({
+      success: false,
+      error: `free_transfers must be 0-5, max_transfers 0-${MAX_TRANSFERS} and horizon 1-${MAX_HORIZON}`
+    });
+  }
+
+  const validSellingPrices =
+    typeof sellingPrices === 'object' && sellingPrices !== null && !Array.isArray(sellingPrices) &&
+    Object.values(sellingPrices).every(price => typeof price === 'number' && Number.isFinite(price) && price >= 0);
+  if (!validSellingPrices) {
+    return res.status(400).json({
+      success: false,
+      error: 'selling_prices must map player IDs to prices in £m (e.g. { "123": 7.5 })'
+    });
+  }
+
+  try {
+    // Load squad and bank from the manager's latest picks when entry_id is given
+    let ids = squadIds;
+    let bankAmount = bank;
+
+    if (!ids) {
+      const entry = await fpl.getEntry(entryId);
+      if (!entry.current_event) {
+        return res.status(400).json({
+          success: false,
+          error: 'Entry has no picks yet'
+        });
+      }
+
+      let picks = await fpl.getEntryPicks(entryId, entry.current_event);
+
+      // A Free Hit squad is only for that gameweek - FPL restores the previous one (and its bank)
+      if (picks.active_chip === CHIPS.FREE_HIT) {
+        if (entry.current_event === 1) {
+          return res.status(400).json({
+            success: false,
+            error: 'Entry played its Free Hit in gameweek 1 - pass squad and bank instead'
+          });
+        }
+        picks = await fpl.getEntryPicks(entryId, entry.current_event - 1);
+      }
+
+      // The Assistant Manager (pick 16) isn't one of the 15 players
+      ids = picks.picks
+        .filter(pick => pick.element_type !== MANAGER && pick.position <= 15)
+        .map(pick => pick.element);
+      bankAmount = typeof bank === 'number' ? bank : picks.entry_history.bank / 10;
+    }
+
+    const window = await resolveGameweekWindow(supabase, { horizon });
+    const gameweeks = [];
+    for (let gw = window.from; gw <= window.to; gw++) gameweeks.push(gw);
+
+    const players = await loadPlannerPlayers(supabase, window);
+
+    const unknown = ids.filter(id => !players.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown player IDs: ${unknown.join(', ')}`
+      });
+    }
+
+    const squad = ids.map(id => players.get(id));
+    const problems = validateSquad(squad);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid squad',
+        problems
+      });
+    }
+
+    const result = planTransfers({
+      squad,
+      players,
+      gameweeks,
+      bank: bankAmount,
+      freeTransfers,
+      maxTransfers,
+      sellingPrices
+    });
+
+    return res.status(200).json({
+      success: true,
+      gameweeks: { from: window.from, to: window.to },
+      bank: bankAmount,
+      free_transfers: freeTransfers,
+      ...result,
+      note: 'projected_points = best XI per gameweek (captain doubled) summed over the horizon. net_gain includes -4 per transfer beyond free_transfers.'
+    });
+
+  } catch (error) {
+    if (error instanceof FplApiError && error.status === 404) {
+      return res.status(404).json({
+        success: false,
+        error: `FPL entry ${entryId} not found`
+      });
+    }
+
+    console.error('Transfer planner failed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Transfer planner failed',
+      message: error.message
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 30, // seconds
+};
@@ -0,0 +1,194 @@
+/**
+ * API Endpoint: /api/players/compare
+ *
+ * Compares 2-5 players side by side:
+ * - per-gameweek series from player_gameweek_stats, aligned on the same
+ *   gameweeks (null where a player has no row, e.g. blanks or transfers in)
+ * - aggregate totals, per 90 rates and xG performance (lib/player-metrics.js)
+ * - price and ownership trajectories
+ * - upcoming fixtures with our FDR and FPL's difficulty (lib/fdr-ticker.js)
+ *
+ * Query Parameters:
+ *   - ids: Comma-separated player IDs (2-5)
+ *   - startGW: Optional first gameweek (default: 1)
+ *   - endGW: Optional last gameweek (default: latest gameweek with stats)
+ *   - seasonId: Optional season ID (defaults to current season)
+ *   - horizon: Optional number of upcoming gameweeks of fixtures (default: 5, max: 10)
+ *
+ * Example:
+ *   GET /api/players/compare?ids=1,2,3
+ *   GET /api/players/compare?ids=1,2&startGW=10&endGW=15
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { getPlayerHistory, getPlayersInfo } from '../../../lib/player-history.js';
+import { METRIC_FIELDS, sumRows, per90, performanceMetrics } from '../../../lib/player-metrics.js';
+import { resolveGameweekWindow, buildFixtureTicker } from '../../../lib/fdr-ticker.js';
+import { getSeasonLastGameweek, resolveSeason } from '../../../lib/seasons.js';
+import { round } from '../../../lib/stats.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 5;
+const DEFAULT_HORIZON = 5;
+const MAX_HORIZON = 10;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { ids, startGW, endGW, seasonId, horizon } = req.query;
+
+  const playerIds = ids ? [...new Set(ids.split(',').map(id => parseInt(id.trim())))] : [];
+  if (playerIds.some(isNaN) || playerIds.length < MIN_PLAYERS || playerIds.length > MAX_PLAYERS) {
+    return res.status(400).json({
+      error: 'Invalid player IDs',
+      message: `ids must be ${MIN_PLAYERS}-${MAX_PLAYERS} comma-separated player IDs`
+    });
+  }
+
+  const startGameweek = startGW !== undefined ? parseInt(startGW) : 1;
+  const endGameweek = endGW !== undefined ? parseInt(endGW) : null;
+  const horizonNum = horizon !== undefined ? parseInt(horizon) : DEFAULT_HORIZON;
+
+  if (isNaN(startGameweek) || startGameweek < 1 || (endGW !== undefined && (isNaN(endGameweek) || endGameweek < startGameweek))) {
+    return res.status(400).json({
+      error: 'Invalid gameweek range',
+      message: 'startGW must be at least 1 and endGW must be greater than or equal to startGW'
+    });
+  }
+
+  if (isNaN(horizonNum) || horizonNum < 1 || horizonNum > MAX_HORIZON) {
+    return res.status(400).json({
+      error: 'Invalid horizon',
+      message: `horizon must be between 1 and ${MAX_HORIZON}`
+    });
+  }
+
+  try {
+    const season = await resolveSeason(supabase, seasonId);
+    if (!season) {
+      return res.status(404).json({
+        error: 'Season not found',
+        message: `No season with ID ${seasonId}`
+      });
+    }
+
+    const lastSeasonGW = await getSeasonLastGameweek(supabase, season);
+
+    if (lastSeasonGW === null || startGameweek > lastSeasonGW || endGameweek > lastSeasonGW) {
+      return res.status(400).json({
+        error: 'Invalid gameweek range',
+        message: lastSeasonGW === null
+          ? `No gameweeks imported for season ${season.name}`
+          : `Gameweeks must be between 1 and ${lastSeasonGW}`
+      });
+    }
+
+    const window = await resolveGameweekWindow(supabase, { horizon: horizonNum });
+
+    const [rows, players, ticker] = await Promise.all([
+      getPlayerHistory(supabase, playerIds, { season, startGW: startGameweek, endGW: endGameweek }),
+      getPlayersInfo(supabase, playerIds),
+      buildFixtureTicker(supabase, { from: window.from, to: window.to })
+    ]);
+
+    const missing = playerIds.filter(id => !players.some(player => player.id === id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Players not found',
+        message: `No players with IDs: ${missing.join(', ')}`
+      });
+    }
+
+    // Align every player's series on the same gameweeks
+    const lastGameweek = endGameweek ?? Math.min(lastSeasonGW, Math.max(startGameweek, ...rows.map(row => row.gameweek_id)));
+    const gameweeks = [];
+    for (let gw = startGameweek; gw <= lastGameweek; gw++) gameweeks.push(gw);
+
+    const tickerByTeam = new Map(ticker.map(team => [team.id, team]));
+
+    const comparison = playerIds.map(id => {
+      const player = players.find(p => p.id === id);
+      const playerRows = rows.filter(row => row.player_id === id);
+      // Archived seasons have one row per fixture, so double gameweeks have two
+      const rowsByGameweek = new Map();
+      playerRows.forEach(row => {
+        if (!rowsByGameweek.has(row.gameweek_id)) rowsByGameweek.set(row.gameweek_id, []);
+        rowsByGameweek.get(row.gameweek_id).push(row);
+      });
+      const seriesOf = (pick) => gameweeks.map(gw => (rowsByGameweek.has(gw) ? pick(rowsByGameweek.get(gw)) : null));
+      const latestOf = (field) => seriesOf(gwRows => gwRows[gwRows.length - 1][field]);
+
+      const series = {};
+      METRIC_FIELDS.forEach(field => {
+        series[field] = seriesOf(gwRows => round(gwRows.reduce((sum, row) => sum + (parseFloat(row[field]) || 0), 0), 2));
+      });
+
+      const totals = sumRows(playerRows);
+      const latestValue = [...playerRows].reverse().find(row => row.value)?.value ?? null;
+      const teamTicker = tickerByTeam.get(player.team_id);
+
+      return {
+        ...player,
+        totals,
+        per_90: per90(totals),
+        ...performanceMetrics(totals, latestValue),
+        series,
+        trajectories: {
+          price: latestOf('value').map(value => (value ? value / 10 : null)),
+          selected: latestOf('selected'),
+          transfers_in: latestOf('transfers_in'),
+          transfers_out: latestOf('transfers_out')
+        },
+        upcoming: teamTicker ? {
+          average_difficulty: teamTicker.average_difficulty,
+          fpl_average_difficulty: teamTicker.fpl_average_difficulty,
+          blank_gameweeks: teamTicker.blank_gameweeks,
+          double_gameweeks: teamTicker.double_gameweeks,
+          gameweeks: teamTicker.gameweeks
+        } : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      gameweeks,
+      players: comparison,
+      meta: {
+        player_count: comparison.length,
+        season,
+        gameweek_range: {
+          start: startGameweek,
+          end: lastGameweek,
+          total_gameweeks: gameweeks.length
+        },
+        fixtures_window: { from: window.from, to: window.to }
+      }
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
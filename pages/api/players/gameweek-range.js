@@ -4,23 +4,182 @@
  * Fetches aggregated player stats for a specific gameweek range
  * Used by the frontend GW filter to show filtered stats
  *
+ * Without playerIds it returns a league-wide leaderboard for the range,
+ * ranked by `sort` (e.g. top xGI between GW10 and GW15)
+ *
  * Query Parameters:
- *   - playerIds: Comma-separated player IDs (e.g., "1,2,3")
+ *   - playerIds: Optional comma-separated player IDs (e.g., "1,2,3") - omit for a leaderboard
  *   - startGW: Starting gameweek (e.g., "1")
- *   - endGW: Ending gameweek (e.g., "10")
- *   - seasonId: Optional season ID (defaults to current season)
+ *   - endGW: Ending gameweek (e.g., "10"), up to the last gameweek in the gameweeks table
+ *   - seasonId: Optional season ID (defaults to current season). Past seasons are
+ *     aggregated from the player_gameweek_history archive (see lib/seasons.js)
+ *   - metrics: Optional "true" to add per 90 rates, goals/assists minus xG/xA and
+ *     xGI/points per £m (see lib/player-metrics.js)
+ *   - splits: Optional "true" to add home/away splits
+ *   - window: Optional rolling window size in gameweeks (e.g. "4", max 10)
+ *
+ * Leaderboard Parameters (without playerIds):
+ *   - sort: Optional stat to rank by (default: total_points), one of METRIC_FIELDS
+ *   - position: Optional element_type (1 GKP, 2 DEF, 3 MID, 4 FWD)
+ *   - team: Optional team ID (that season's team IDs for past seasons)
+ *   - limit: Optional number of players (default: 50, max: 200)
  *
  * Example:
  *   GET /api/players/gameweek-range?playerIds=1,2,3&startGW=1&endGW=10
+ *   GET /api/players/gameweek-range?playerIds=1,2,3&startGW=1&endGW=10&metrics=true&splits=true&window=4
+ *   GET /api/players/gameweek-range?startGW=10&endGW=15&sort=expected_goal_involvements&position=3&limit=20
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { getPlayerGameweekRows, buildPlayerMetrics, sumRows, METRIC_FIELDS, MAX_WINDOW } from '../../../lib/player-metrics.js';
+import { getPlayerCodes, getArchivedRows, getSeasonLastGameweek, resolveSeason } from '../../../lib/seasons.js';
+import { fetchAllRows } from '../../../lib/paginate.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_ANON_KEY
 );
 
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const flattenPlayer = (player) => ({
+  web_name: player?.web_name,
+  first_name: player?.first_name,
+  second_name: player?.second_name,
+  element_type: player?.element_type,
+  team_id: player?.teams?.id,
+  team_name: player?.teams?.name,
+  team_short_name: player?.teams?.short_name
+});
+
+/**
+ * Current season: aggregate with the database function, keyed by player ID
+ */
+async function getCurrentSeasonStats({ playerIds, position, team, startGW, endGW }) {
+  // Leaderboards aggregate every player matching the position/team filters
+  let ids = playerIds;
+  if (!ids) {
+    const allPlayers = await fetchAllRows(() => {
+      let query = supabase
+        .from('players')
+        .select('id')
+        .order('id', { ascending: true });
+      if (position !== null) query = query.eq('element_type', position);
+      if (team !== null) query = query.eq('team_id', team);
+      return query;
+    });
+    ids = allPlayers.map(player => player.id);
+  }
+
+  // Call the aggregation function
+  const { data: statsData, error: statsError } = await supabase
+    .rpc('aggregate_player_stats_by_gw_range', {
+      player_ids: ids,
+      start_gw: startGW,
+      end_gw: endGW
+    });
+
+  if (statsError) {
+    console.error('Supabase RPC error:', statsError);
+    throw statsError;
+  }
+
+  return {
+    stats: statsData.map(stat => ({ key: stat.player_id, ...stat })),
+    keyOf: (row) => row.player_id,
+
+    // Fetch player metadata to enrich the response
+    getPlayers: async (keys) => {
+      const { data: playersData, error: playersError } = await supabase
+        .from('players')
+        .select(`
+          id,
+          web_name,
+          first_name,
+          second_name,
+          element_type,
+          teams!inner(id, short_name, name)
+        `)
+        .in('id', keys);
+
+      if (playersError) {
+        console.error('Supabase players query error:', playersError);
+        throw playersError;
+      }
+
+      return new Map(playersData.map(player => [player.id, flattenPlayer(player)]));
+    },
+
+    // Derived metrics need the per-gameweek rows, so only fetch them when asked for
+    getRows: (keys) => getPlayerGameweekRows(supabase, { playerIds: keys, startGW, endGW })
+  };
+}
+
+/**
+ * Past season: aggregate the archive in memory, keyed by player code
+ * (player_id is the current season ID when the player is still in the game)
+ */
+async function getArchivedSeasonStats({ season, playerIds, position, team, startGW, endGW }) {
+  const codesById = playerIds ? await getPlayerCodes(supabase, playerIds) : null;
+  const rows = await getArchivedRows(supabase, {
+    seasonId: season.id,
+    codes: codesById ? [...codesById.values()] : undefined,
+    startGW,
+    endGW,
+    position,
+    team
+  });
+
+  const rowsByCode = new Map();
+  rows.forEach(row => {
+    if (!rowsByCode.has(row.player_code)) rowsByCode.set(row.player_code, []);
+    rowsByCode.get(row.player_code).push(row);
+  });
+
+  return {
+    stats: [...rowsByCode].map(([code, playerRows]) => ({ key: code, player_code: code, ...sumRows(playerRows) })),
+    keyOf: (row) => row.player_code,
+
+    getPlayers: async (codes) => {
+      const { data: current, error } = await supabase
+        .from('players')
+        .select(`
+          id,
+          code,
+          web_name,
+          first_name,
+          second_name,
+          element_type,
+          teams!inner(id, short_name, name)
+        `)
+        .in('code', codes);
+
+      if (error) {
+        console.error('Supabase players query error:', error);
+        throw error;
+      }
+
+      // Name and position from the current season when linked, club as it was that season
+      return new Map(codes.map(code => {
+        const latest = rowsByCode.get(code).at(-1);
+        const player = current.find(p => p.code === code);
+        return [code, {
+          player_id: player?.id ?? null,
+          web_name: player?.web_name ?? latest.web_name,
+          first_name: player?.first_name,
+          second_name: player?.second_name,
+          element_type: latest.element_type,
+          team_id: latest.team_id,
+          team_short_name: latest.team_short_name
+        }];
+      }));
+    },
+
+    getRows: async () => rows
+  };
+}
+
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -37,20 +196,66 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { playerIds, startGW, endGW, seasonId } = req.query;
+  const {
+    playerIds,
+    startGW,
+    endGW,
+    seasonId,
+    metrics,
+    splits,
+    window,
+    sort = 'total_points',
+    position,
+    team,
+    limit
+  } = req.query;
 
   // Validate required parameters
-  if (!playerIds || !startGW || !endGW) {
+  if (!startGW || !endGW) {
     return res.status(400).json({
       error: 'Missing required parameters',
-      required: ['playerIds', 'startGW', 'endGW'],
-      received: { playerIds, startGW, endGW }
+      required: ['startGW', 'endGW'],
+      received: { startGW, endGW }
+    });
+  }
+
+  const leaderboard = !playerIds;
+
+  if (leaderboard && !METRIC_FIELDS.includes(sort)) {
+    return res.status(400).json({
+      error: 'Invalid sort field',
+      message: `sort must be one of: ${METRIC_FIELDS.join(', ')}`
+    });
+  }
+
+  const positionNum = position !== undefined ? parseInt(position) : null;
+  const teamNum = team !== undefined ? parseInt(team) : null;
+  const limitNum = limit !== undefined ? parseInt(limit) : DEFAULT_LIMIT;
+
+  if (position !== undefined && (isNaN(positionNum) || positionNum < 1 || positionNum > 4)) {
+    return res.status(400).json({
+      error: 'Invalid position',
+      message: 'position must be 1 (GKP), 2 (DEF), 3 (MID) or 4 (FWD)'
+    });
+  }
+
+  if (team !== undefined && isNaN(teamNum)) {
+    return res.status(400).json({
+      error: 'Invalid team',
+      message: 'team must be a team ID'
+    });
+  }
+
+  if (isNaN(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      message: `limit must be between 1 and ${MAX_LIMIT}`
     });
   }
 
   try {
     // Parse playerIds from comma-separated string to array
-    const playerIdArray = playerIds.split(',').map(id => {
+    const requestedIds = leaderboard ? null : playerIds.split(',').map(id => {
       const parsed = parseInt(id.trim());
       if (isNaN(parsed)) {
         throw new Error(`Invalid player ID: ${id}`);
@@ -76,56 +281,68 @@ export default async function handler(req, res) {
       });
     }
 
-    if (startGameweek < 1 || endGameweek > 38) {
+    const season = await resolveSeason(supabase, seasonId);
+    if (!season) {
+      return res.status(404).json({
+        error: 'Season not found',
+        message: `No season with ID ${seasonId}`
+      });
+    }
+
+    const lastGW = await getSeasonLastGameweek(supabase, season);
+
+    if (startGameweek < 1 || lastGW === null || endGameweek > lastGW) {
       return res.status(400).json({
         error: 'Invalid gameweek range',
-        message: 'Gameweeks must be between 1 and 38'
+        message: lastGW === null
+          ? `No gameweeks imported for season ${season.name}`
+          : `Gameweeks must be between 1 and ${lastGW}`
       });
     }
 
-    // Call the aggregation function
-    const { data: statsData, error: statsError } = await supabase
-      .rpc('aggregate_player_stats_by_gw_range', {
-        player_ids: playerIdArray,
-        start_gw: startGameweek,
-        end_gw: endGameweek
-      });
+    const includeRates = metrics === 'true';
+    const includeSplits = splits === 'true';
+    const windowSize = window !== undefined ? parseInt(window) : null;
 
-    if (statsError) {
-      console.error('Supabase RPC error:', statsError);
-      throw statsError;
+    if (window !== undefined && (isNaN(windowSize) || windowSize < 1 || windowSize > MAX_WINDOW)) {
+      return res.status(400).json({
+        error: 'Invalid window',
+        message: `window must be between 1 and ${MAX_WINDOW}`
+      });
     }
 
-    // Fetch player metadata to enrich the response
-    const { data: playersData, error: playersError } = await supabase
-      .from('players')
-      .select(`
-        id,
-        web_name,
-        first_name,
-        second_name,
-        element_type,
-        teams!inner(id, short_name, name)
-      `)
-      .in('id', playerIdArray);
-
-    if (playersError) {
-      console.error('Supabase players query error:', playersError);
-      throw playersError;
-    }
+    const range = { startGW: startGameweek, endGW: endGameweek };
+    const wantsMetrics = includeRates || includeSplits || windowSize !== null;
+    const source = season.is_current
+      ? await getCurrentSeasonStats({ playerIds: requestedIds, position: positionNum, team: teamNum, wantsMetrics, ...range })
+      : await getArchivedSeasonStats({ season, playerIds: requestedIds, position: positionNum, team: teamNum, ...range });
+
+    // Rank the leaderboard and keep the top `limit` (ties broken by player)
+    const statsData = leaderboard
+      ? source.stats
+        .sort((a, b) => (parseFloat(b[sort]) || 0) - (parseFloat(a[sort]) || 0) || a.key - b.key)
+        .slice(0, limitNum)
+        .map((stat, index) => ({ rank: index + 1, ...stat }))
+      : source.stats;
+
+    const playersByKey = await source.getPlayers(statsData.map(stat => stat.key));
+    const gameweekRows = wantsMetrics ? await source.getRows(statsData.map(stat => stat.key)) : [];
 
     // Merge stats with player info
-    const enrichedData = statsData.map(stat => {
-      const player = playersData.find(p => p.id === stat.player_id);
+    const enrichedData = statsData.map(({ key, ...stat }) => {
+      const player = playersByKey.get(key);
+      const derived = wantsMetrics
+        ? buildPlayerMetrics(gameweekRows.filter(row => source.keyOf(row) === key), {
+          rates: includeRates,
+          splits: includeSplits,
+          window: windowSize,
+          ...range
+        })
+        : {};
       return {
         ...stat,
-        web_name: player?.web_name,
-        first_name: player?.first_name,
-        second_name: player?.second_name,
-        element_type: player?.element_type,
-        team_id: player?.teams?.id,
-        team_name: player?.teams?.name,
-        team_short_name: player?.teams?.short_name
+        ...derived,
+        ...player
       };
     });
 
@@ -139,7 +356,14 @@ export default async function handler(req, res) {
           start: startGameweek,
           end: endGameweek,
           total_gameweeks: endGameweek - startGameweek + 1
-        }
+        },
+        metrics: includeRates,
+        splits: includeSplits,
+        window: windowSize,
+        season,
+        leaderboard: leaderboard
+          ? { sort, position: positionNum, team: teamNum, limit: limitNum }
+          : null
       }
     });
 
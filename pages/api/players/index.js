@@ -0,0 +1,265 @@
+/**
+ * API Endpoint: /api/players
+ *
+ * Search and filter players with season totals from the player_season_stats view
+ * (player_gameweek_stats aggregated per player, see SYNC_ARCHITECTURE.md)
+ *
+ * Query Parameters:
+ *   - q: Optional text search on web_name, first_name and second_name
+ *   - position: Optional element_type (1 GKP, 2 DEF, 3 MID, 4 FWD)
+ *   - team: Optional team ID
+ *   - minPrice / maxPrice: Optional price range in £m (e.g. 4.5, 8)
+ *   - minMinutes: Optional minimum total minutes
+ *   - seasonId: Optional season ID (defaults to current season). Current season
+ *     only - past seasons are in the archive, see /api/players/gameweek-range
+ *   - sort: Optional stat to sort by (default: total_points), see SORTABLE_FIELDS
+ *   - order: Optional "desc" (default) or "asc"
+ *   - limit: Optional page size (default: 50, max: 200)
+ *   - cursor: Optional next_cursor from the previous page
+ *
+ * Example:
+ *   GET /api/players?q=salah
+ *   GET /api/players?position=3&maxPrice=7&minMinutes=900&sort=expected_goal_involvements
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { resolveSeason } from '../../../lib/seasons.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+export const SORTABLE_FIELDS = [
+  'total_points',
+  'minutes',
+  'appearances',
+  'goals_scored',
+  'assists',
+  'clean_sheets',
+  'goals_conceded',
+  'bonus',
+  'bps',
+  'saves',
+  'yellow_cards',
+  'red_cards',
+  'expected_goals',
+  'expected_assists',
+  'expected_goal_involvements',
+  'expected_goals_conceded',
+  'ict_index',
+  'points_per_90',
+  'expected_goal_involvements_per_90',
+  'now_cost'
+];
+
+const PLAYER_FIELDS = `
+  id,
+  code,
+  web_name,
+  first_name,
+  second_name,
+  element_type,
+  team_id,
+  season_id,
+  now_cost,
+  status,
+  ${SORTABLE_FIELDS.filter(field => field !== 'now_cost').join(',\n  ')},
+  teams!inner(id, short_name, name)
+`;
+
+// Cursor = last row's sort value and id, base64url encoded
+const encodeCursor = (row, sort) =>
+  Buffer.from(JSON.stringify({ v: row[sort], id: row.id })).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.v !== 'number' || !Number.isInteger(decoded.id)) return null;
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const {
+    q,
+    position,
+    team,
+    minPrice,
+    maxPrice,
+    minMinutes,
+    seasonId,
+    sort = 'total_points',
+    order = 'desc',
+    limit,
+    cursor
+  } = req.query;
+
+  if (!SORTABLE_FIELDS.includes(sort)) {
+    return res.status(400).json({
+      error: 'Invalid sort field',
+      message: `sort must be one of: ${SORTABLE_FIELDS.join(', ')}`
+    });
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    return res.status(400).json({
+      error: 'Invalid order',
+      message: 'order must be "asc" or "desc"'
+    });
+  }
+
+  const numbers = {
+    position: position !== undefined ? parseInt(position) : null,
+    team: team !== undefined ? parseInt(team) : null,
+    minPrice: minPrice !== undefined ? parseFloat(minPrice) : null,
+    maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : null,
+    minMinutes: minMinutes !== undefined ? parseInt(minMinutes) : null,
+    seasonId: seasonId !== undefined ? parseInt(seasonId) : null,
+    limit: limit !== undefined ? parseInt(limit) : DEFAULT_LIMIT
+  };
+
+  const invalid = Object.entries(numbers)
+    .filter(([key]) => req.query[key] !== undefined)
+    .filter(([, value]) => isNaN(value))
+    .map(([key]) => key);
+
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: `${invalid.join(', ')} must be numbers`
+    });
+  }
+
+  if (numbers.position !== null && (numbers.position < 1 || numbers.position > 4)) {
+    return res.status(400).json({
+      error: 'Invalid position',
+      message: 'position must be 1 (GKP), 2 (DEF), 3 (MID) or 4 (FWD)'
+    });
+  }
+
+  if (numbers.limit < 1 || numbers.limit > MAX_LIMIT) {
+    return res.status(400).json({
+      error: 'Invalid limit',
+      message: `limit must be between 1 and ${MAX_LIMIT}`
+    });
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    return res.status(400).json({
+      error: 'Invalid cursor',
+      message: 'cursor must be the next_cursor value from a previous response'
+    });
+  }
+
+  try {
+    const season = await resolveSeason(supabase, seasonId);
+    if (!season) {
+      return res.status(404).json({
+        error: 'Season not found',
+        message: `No season with ID ${seasonId}`
+      });
+    }
+
+    // player_season_stats aggregates the live tables, which only hold the current season
+    if (!season.is_current) {
+      return res.status(400).json({
+        error: 'Past seasons not supported',
+        message: `Player search only covers the current season - use /api/players/gameweek-range?seasonId=${season.id} for ${season.name}`
+      });
+    }
+
+    const ascending = order === 'asc';
+
+    let query = supabase
+      .from('player_season_stats')
+      .select(PLAYER_FIELDS)
+      .eq('season_id', season.id)
+      .order(sort, { ascending })
+      .order('id', { ascending: true })
+      .limit(numbers.limit + 1);
+
+    if (q) {
+      // Strip LIKE wildcards so the search is literal
+      const search = q.replace(/[%_*\\]/g, '').trim().toLowerCase();
+      if (search) query = query.ilike('search_name', `%${search}%`);
+    }
+    if (numbers.position !== null) query = query.eq('element_type', numbers.position);
+    if (numbers.team !== null) query = query.eq('team_id', numbers.team);
+    if (numbers.minPrice !== null) query = query.gte('now_cost', Math.round(numbers.minPrice * 10));
+    if (numbers.maxPrice !== null) query = query.lte('now_cost', Math.round(numbers.maxPrice * 10));
+    if (numbers.minMinutes !== null) query = query.gte('minutes', numbers.minMinutes);
+
+    // Keyset pagination: rows after (sort value, id) of the last row on the previous page
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      query = query.or(`${sort}.${op}.${after.v},and(${sort}.eq.${after.v},id.gt.${after.id})`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Supabase query error:', error);
+      throw error;
+    }
+
+    const hasMore = data.length > numbers.limit;
+    const page = data.slice(0, numbers.limit).map(({ teams, ...player }) => ({
+      ...player,
+      now_cost: player.now_cost / 10,
+      team_name: teams?.name,
+      team_short_name: teams?.short_name
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: page,
+      meta: {
+        player_count: page.length,
+        sort,
+        order,
+        limit: numbers.limit,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeCursor(data[numbers.limit - 1], sort) : null,
+        filters: {
+          q: q || null,
+          position: numbers.position,
+          team: numbers.team,
+          min_price: numbers.minPrice,
+          max_price: numbers.maxPrice,
+          min_minutes: numbers.minMinutes,
+          season_id: season.id
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * API Endpoint: /api/players/projections
+ *
+ * Returns projected (expected) FPL points per player for upcoming gameweeks,
+ * from player_projections (calculated by /api/sync/projections, see lib/projections.js)
+ *
+ * Query Parameters:
+ *   - gw_from: Optional first gameweek (defaults to the next unfinished gameweek)
+ *   - gw_to: Optional last gameweek (defaults to gw_from)
+ *   - playerIds: Optional comma-separated player IDs
+ *   - position: Optional element_type (1 GKP, 2 DEF, 3 MID, 4 FWD)
+ *   - team: Optional team ID
+ *   - limit: Optional number of players (sorted by total expected points)
+ *
+ * Example:
+ *   GET /api/players/projections
+ *   GET /api/players/projections?gw_from=20&gw_to=25&position=3&limit=20
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { resolveGameweekWindow } from '../../../lib/fdr-ticker.js';
+import { getStoredProjections } from '../../../lib/projections.js';
+import { POSITIONS } from '../../../lib/entry-squad.js';
+import { fetchAllRows } from '../../../lib/paginate.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle OPTIONS request for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { gw_from, gw_to, playerIds, position, team, limit } = req.query;
+
+  const fromGW = gw_from !== undefined ? parseInt(gw_from) : undefined;
+  const toGW = gw_to !== undefined ? parseInt(gw_to) : undefined;
+
+  if ((gw_from !== undefined && isNaN(fromGW)) || (gw_to !== undefined && isNaN(toGW))) {
+    return res.status(400).json({
+      error: 'Invalid gameweek range',
+      message: 'gw_from and gw_to must be valid integers'
+    });
+  }
+
+  const elementType = position !== undefined ? parseInt(position) : null;
+  if (position !== undefined && !POSITIONS[elementType]) {
+    return res.status(400).json({
+      error: 'Invalid position',
+      message: 'position must be 1 (GKP), 2 (DEF), 3 (MID) or 4 (FWD)'
+    });
+  }
+
+  const teamId = team !== undefined ? parseInt(team) : null;
+  const limitNum = limit !== undefined ? parseInt(limit) : null;
+
+  if ((team !== undefined && isNaN(teamId)) || (limit !== undefined && (isNaN(limitNum) || limitNum < 1))) {
+    return res.status(400).json({
+      error: 'Invalid parameters',
+      message: 'team must be a valid integer and limit a positive integer'
+    });
+  }
+
+  try {
+    let playerIdArray = null;
+    if (playerIds) {
+      playerIdArray = playerIds.split(',').map(id => {
+        const parsed = parseInt(id.trim());
+        if (isNaN(parsed)) {
+          throw new Error(`Invalid player ID: ${id}`);
+        }
+        return parsed;
+      });
+    }
+
+    const startGameweek = fromGW ?? (await resolveGameweekWindow(supabase, { horizon: 1 })).from;
+    const endGameweek = toGW ?? startGameweek;
+
+    if (startGameweek > endGameweek) {
+      return res.status(400).json({
+        error: 'Invalid gameweek range',
+        message: 'gw_from must be less than or equal to gw_to'
+      });
+    }
+
+    const [projections, players] = await Promise.all([
+      getStoredProjections(supabase, { from: startGameweek, to: endGameweek, playerIds: playerIdArray }),
+      fetchAllRows(() => {
+        let query = supabase
+          .from('players')
+          .select('id, web_name, element_type, team_id, teams!inner(id, short_name, name)')
+          .order('id', { ascending: true });
+
+        if (playerIdArray) query = query.in('id', playerIdArray);
+        if (elementType) query = query.eq('element_type', elementType);
+        if (teamId !== null) query = query.eq('team_id', teamId);
+        return query;
+      })
+    ]);
+
+    let data = players
+      .filter(player => projections.has(player.id))
+      .map(player => {
+        const projection = projections.get(player.id);
+        return {
+          player_id: player.id,
+          web_name: player.web_name,
+          element_type: player.element_type,
+          position: POSITIONS[player.element_type],
+          team_id: player.team_id,
+          team_short_name: player.teams?.short_name,
+          expected_points: projection.total,
+          gameweeks: Object.entries(projection.gameweeks).map(([gameweek, gw]) => ({
+            gameweek: parseInt(gameweek),
+            ...gw
+          })),
+          calculated_at: projection.calculated_at
+        };
+      })
+      .sort((a, b) => b.expected_points - a.expected_points);
+
+    if (limitNum) data = data.slice(0, limitNum);
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta: {
+        player_count: data.length,
+        gameweek_range: {
+          start: startGameweek,
+          end: endGameweek
+        },
+        calculated_at: data[0]?.calculated_at || null
+      }
+    });
+
+  } catch (error) {
+    console.error('API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * POST /api/sync/fixtures
+ *
+ * Syncs every fixture of the season from the FPL API to the fixtures table
+ * (gameweek, kickoff, teams, scores, finished flags, FPL difficulties, per-fixture stats)
+ *
+ * Fast: single FPL request + single batch upsert (~380 rows)
+ *
+ * Security: Protected by ADMIN_TOKEN or CRON_SECRET
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import fpl from '../../../lib/fpl-client.js';
+import { mapFixture } from '../../../lib/fixtures.js';
+import { startSyncRun, finishSyncRun } from '../../../lib/sync-runs.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Security check
+  const authHeader = req.headers.authorization;
+  const cronSecret = req.headers['x-vercel-cron-secret'];
+
+  const isAuthorized =
+    authHeader === `Bearer ${process.env.ADMIN_TOKEN}` ||
+    cronSecret === process.env.CRON_SECRET;
+
+  if (!isAuthorized) {
+    console.error('❌ Unauthorized fixtures sync attempt');
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  console.log('📅 Starting fixtures sync...');
+  const startTime = Date.now();
+  const run = await startSyncRun(supabase, 'fixtures', req);
+
+  try {
+    const { data: currentSeason, error: seasonError } = await supabase
+      .from('seasons')
+      .select('id')
+      .eq('is_current', true)
+      .single();
+
+    if (seasonError) {
+      throw new Error(`Failed to get current season: ${seasonError.message}`);
+    }
+
+    const fixtures = await fpl.getFixtures();
+    console.log(`  → Fetched ${fixtures.length} fixtures`);
+
+    const fixtureRecords = fixtures.map(fixture => mapFixture(fixture, currentSeason.id));
+
+    const { error } = await supabase
+      .from('fixtures')
+      .upsert(fixtureRecords, { onConflict: 'id' });
+
+    if (error) {
+      throw new Error(`Batch upsert failed: ${error.message}`);
+    }
+
+    const finished = fixtures.filter(f => f.finished).length;
+    const unscheduled = fixtures.filter(f => !f.event).length;
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    console.log(`✅ Fixtures sync complete in ${duration}s`);
+    console.log(`   Fixtures: ${fixtures.length} (${finished} finished, ${unscheduled} unscheduled)`);
+
+    await finishSyncRun(supabase, run, {
+      counts: {
+        fixtures_synced: fixtures.length,
+        finished,
+        unscheduled
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Fixtures synced successfully',
+      stats: {
+        fixtures_synced: fixtures.length,
+        finished,
+        unscheduled,
+        duration_seconds: parseFloat(duration)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Fixtures sync failed:', error);
+    await finishSyncRun(supabase, run, { status: 'failed', errors: [error.message] });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Fixtures sync failed',
+      message: error.message
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 30,
+};
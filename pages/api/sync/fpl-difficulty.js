@@ -8,15 +8,14 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import fetch from 'node-fetch';
+import fpl from '../../../lib/fpl-client.js';
+import { startSyncRun, finishSyncRun } from '../../../lib/sync-runs.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const FPL_API_BASE = 'https://fantasy.premierleague.com/api';
-
 export default async function handler(req, res) {
   // CORS headers
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -53,23 +52,11 @@ export default async function handler(req, res) {
 
   console.log('🎯 Starting FPL difficulty sync...');
   const startTime = Date.now();
+  const run = await startSyncRun(supabase, 'fpl-difficulty', req);
 
   try {
-    // Fetch fixtures from FPL API with browser-like headers to avoid 403
-    const fixturesResponse = await fetch(`${FPL_API_BASE}/fixtures/`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/json',
-        'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Referer': 'https://fantasy.premierleague.com/',
-        'Origin': 'https://fantasy.premierleague.com'
-      }
-    });
-    if (!fixturesResponse.ok) {
-      throw new Error(`FPL API error: ${fixturesResponse.status}`);
-    }
-    const fixtures = await fixturesResponse.json();
+    // Fetch fixtures from FPL API
+    const fixtures = await fpl.getFixtures();
 
     console.log(`  → Fetched ${fixtures.length} fixtures`);
 
@@ -106,6 +93,7 @@ export default async function handler(req, res) {
     // Update teams table with FPL difficulties
     let updated = 0;
     let errors = 0;
+    const errorMessages = [];
 
     for (const [teamId, diffs] of Object.entries(teamDifficulties)) {
       const { error } = await supabase
@@ -120,6 +108,7 @@ export default async function handler(req, res) {
       if (error) {
         console.error(`  ✗ Failed to update team ${teamId}:`, error.message);
         errors++;
+        errorMessages.push(`Team ${teamId}: ${error.message}`);
       } else {
         updated++;
       }
@@ -131,6 +120,14 @@ export default async function handler(req, res) {
     console.log(`   Teams updated: ${updated}`);
     console.log(`   Errors: ${errors}`);
 
+    await finishSyncRun(supabase, run, {
+      counts: {
+        fixtures_read: fixtures.length,
+        teams_updated: updated
+      },
+      errors: errorMessages
+    });
+
     return res.status(200).json({
       success: true,
       message: 'FPL difficulty ratings synced successfully',
@@ -143,6 +140,7 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('❌ FPL difficulty sync failed:', error);
+    await finishSyncRun(supabase, run, { status: 'failed', errors: [error.message] });
 
     return res.status(500).json({
       success: false,
@@ -2,27 +2,42 @@
  * API Endpoint: /api/sync/full-stats
  *
  * FULL SYNC: Syncs ALL players for complete historical data
- * This takes 60-120 seconds for 700+ players
  *
- * Run this WEEKLY (or manually when needed)
+ * RESUMABLE: Each call processes a bounded chunk of players (ordered by id)
+ * and saves a cursor in the sync_runs table. The next call continues from
+ * that cursor until every player is done and the response reports `done: true`.
+ *
+ * Run this WEEKLY (or manually when needed) - call repeatedly until done
  *
  * For quick hourly updates, use /api/sync/quick-stats instead
  *
+ * Query Parameters:
+ *   - chunk: Max players per call (default: 150)
+ *   - reset: "true" to abandon any unfinished run and start from the first player
+ *
  * Security: Protected by ADMIN_TOKEN
+ *
+ * Example:
+ *   POST /api/sync/full-stats
+ *   → { done: false, cursor: { last_player_id: 150, ... } }
+ *   POST /api/sync/full-stats
+ *   → { done: true, ... }
  */
 
 import { createClient } from '@supabase/supabase-js';
-import fetch from 'node-fetch';
+import fpl, { delay } from '../../../lib/fpl-client.js';
+import { mapGameweekStats, createStatsBatcher } from '../../../lib/player-stats.js';
+import { getOpenRun, createRun, updateRun, addCounts, addErrors, getSyncSource } from '../../../lib/sync-runs.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const FPL_API_BASE = 'https://fantasy.premierleague.com/api';
+const JOB_NAME = 'full-stats';
 const RATE_LIMIT_DELAY = 50; // Faster for full sync (still safe)
-
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const DEFAULT_CHUNK_SIZE = 150;
+const TIME_BUDGET_MS = 45 * 1000; // Stop starting new batches well before maxDuration
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -38,8 +53,12 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  console.log('🔄 Starting FULL stats sync (all players, all gameweeks)...');
+  const chunkSize = parseInt(req.query.chunk) || DEFAULT_CHUNK_SIZE;
+  const reset = req.query.reset === 'true';
+
+  console.log('🔄 Starting FULL stats sync chunk (all players, all gameweeks)...');
   const startTime = Date.now();
+  let run = null;
 
   try {
     // Get current gameweek
@@ -53,146 +72,160 @@ export default async function handler(req, res) {
       throw new Error('No current gameweek found');
     }
 
-    console.log(`  → Full sync up to ${currentGW.name}...`);
-
-    // Fetch all players from bootstrap-static with browser-like headers
-    const bootstrapResponse = await fetch(`${FPL_API_BASE}/bootstrap-static/`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/json',
-        'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Referer': 'https://fantasy.premierleague.com/',
-        'Origin': 'https://fantasy.premierleague.com'
-      }
-    });
-    if (!bootstrapResponse.ok) {
-      throw new Error(`FPL API error: ${bootstrapResponse.status}`);
+    // Resume the unfinished run, or start a new one
+    run = await getOpenRun(supabase, JOB_NAME);
+
+    if (run && reset) {
+      console.log(`  → Abandoning unfinished run ${run.id} (reset requested)`);
+      await updateRun(supabase, run.id, {
+        status: 'failed',
+        finished_at: new Date().toISOString()
+      });
+      run = null;
+    }
+
+    if (!run) {
+      run = await createRun(supabase, JOB_NAME, {
+        source: getSyncSource(req),
+        cursor: {
+          last_player_id: 0,
+          start_gw: 1,
+          end_gw: currentGW.id,
+          started_at: new Date().toISOString()
+        }
+      });
+      console.log(`  → Started run ${run.id}: GW1-${currentGW.id}`);
+    } else {
+      console.log(`  → Resuming run ${run.id} after player ${run.cursor.last_player_id}`);
     }
-    const bootstrap = await bootstrapResponse.json();
 
-    const players = bootstrap.elements;
-    console.log(`  → Syncing ${players.length} players...`);
+    const { last_player_id: lastPlayerId, start_gw: startGW, end_gw: endGW } = run.cursor;
+
+    // Fetch all players from bootstrap-static, ordered by id so the cursor is stable
+    const bootstrap = await fpl.getBootstrapStatic();
+
+    const remainingPlayers = bootstrap.elements
+      .filter(player => player.id > lastPlayerId)
+      .sort((a, b) => a.id - b.id);
+    const players = remainingPlayers.slice(0, chunkSize);
 
-    let updatedPlayers = 0;
+    console.log(`  → Syncing ${players.length} of ${remainingPlayers.length} remaining players (GW${startGW}-${endGW})...`);
+
+    let processedPlayers = 0;
     let errors = 0;
+    const errorMessages = [];
+    let cursorPlayerId = lastPlayerId;
+    const batcher = createStatsBatcher(supabase);
 
     // Process players in batches
     const BATCH_SIZE = 10;
     for (let i = 0; i < players.length; i += BATCH_SIZE) {
+      if (Date.now() - startTime > TIME_BUDGET_MS) {
+        console.log('  ⏱ Time budget reached, saving cursor for next call');
+        break;
+      }
+
       const batch = players.slice(i, i + BATCH_SIZE);
 
       await Promise.all(batch.map(async (player) => {
         try {
-          // Fetch player's element-summary with browser-like headers
-          const response = await fetch(`${FPL_API_BASE}/element-summary/${player.id}/`, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-              'Accept': 'application/json',
-              'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-              'Referer': 'https://fantasy.premierleague.com/'
-            }
-          });
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-          }
-          const summary = await response.json();
-
-          // Get all gameweek history up to current GW
+          const summary = await fpl.getElementSummary(player.id);
+
+          // Queue gameweek history within this run's range - upserted in batches
           const history = summary.history || [];
-          const relevantHistory = history.filter(gw => gw.round <= currentGW.id);
-
-          // Update stats for each gameweek
-          for (const gwData of relevantHistory) {
-            const { error } = await supabase
-              .from('player_gameweek_stats')
-              .upsert({
-                player_id: player.id,
-                gameweek_id: gwData.round,
-                opponent_team: gwData.opponent_team,
-                was_home: gwData.was_home,
-                kickoff_time: gwData.kickoff_time,
-                total_points: gwData.total_points,
-                minutes: gwData.minutes,
-                goals_scored: gwData.goals_scored,
-                assists: gwData.assists,
-                clean_sheets: gwData.clean_sheets,
-                goals_conceded: gwData.goals_conceded,
-                bonus: gwData.bonus,
-                bps: gwData.bps,
-                own_goals: gwData.own_goals || 0,
-                penalties_saved: gwData.penalties_saved || 0,
-                penalties_missed: gwData.penalties_missed || 0,
-                yellow_cards: gwData.yellow_cards || 0,
-                red_cards: gwData.red_cards || 0,
-                saves: gwData.saves || 0,
-                expected_goals: gwData.expected_goals || 0,
-                expected_assists: gwData.expected_assists || 0,
-                expected_goal_involvements: gwData.expected_goal_involvements || 0,
-                expected_goals_conceded: gwData.expected_goals_conceded || 0,
-                value: gwData.value,
-                selected: gwData.selected,
-                transfers_in: gwData.transfers_in || 0,
-                transfers_out: gwData.transfers_out || 0,
-                influence: gwData.influence || 0,
-                creativity: gwData.creativity || 0,
-                threat: gwData.threat || 0,
-                ict_index: gwData.ict_index || 0
-              }, { onConflict: 'player_id,gameweek_id' });
-
-            if (error) {
-              errors++;
-            } else {
-              updatedPlayers++;
-            }
-          }
+          batcher.add(
+            history
+              .filter(gw => gw.round >= startGW && gw.round <= endGW)
+              .map(gw => mapGameweekStats(player.id, gw))
+          );
         } catch (error) {
           console.error(`  ✗ Failed to sync ${player.web_name}:`, error.message);
           errors++;
+          errorMessages.push(`${player.web_name}: ${error.message}`);
         }
       }));
 
+      await batcher.flushFull();
+
+      processedPlayers += batch.length;
+      cursorPlayerId = batch[batch.length - 1].id;
+
       // Rate limiting between batches
       await delay(RATE_LIMIT_DELAY * BATCH_SIZE);
-
-      // Progress log every 10 batches
-      if ((i / BATCH_SIZE + 1) % 10 === 0) {
-        const progress = Math.round(((i + BATCH_SIZE) / players.length) * 100);
-        console.log(`  ⏳ Progress: ${progress}% (${updatedPlayers} updated, ${errors} errors)`);
-      }
     }
 
+    // Upsert what's left before saving the cursor, so the cursor never runs ahead of the data
+    const upsertResult = await batcher.flush();
+    const updatedPlayers = upsertResult.upserted;
+    errors += upsertResult.failedRows.length;
+    errorMessages.push(...upsertResult.failedRows.map(row =>
+      `Player ${row.player_id} GW${row.gameweek_id} (batch ${row.batch}): ${row.error}`
+    ));
+
+    const remaining = remainingPlayers.length - processedPlayers;
+    const done = remaining === 0;
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
-    console.log(`✓ Full sync complete in ${duration}s`);
-    console.log(`  Players synced: ${players.length}`);
+    run = await updateRun(supabase, run.id, {
+      cursor: { ...run.cursor, last_player_id: cursorPlayerId },
+      counts: addCounts(run.counts, {
+        players_synced: processedPlayers,
+        stats_updated: updatedPlayers
+      }),
+      error_count: (run.error_count || 0) + errors,
+      errors: addErrors(run.errors, errorMessages),
+      duration_ms: (run.duration_ms || 0) + (Date.now() - startTime),
+      ...(done && {
+        status: 'completed',
+        finished_at: new Date().toISOString()
+      })
+    });
+
+    console.log(`✓ Full sync chunk complete in ${duration}s`);
+    console.log(`  Players synced: ${processedPlayers} (${remaining} remaining)`);
     console.log(`  Stats updated: ${updatedPlayers}`);
     console.log(`  Errors: ${errors}`);
 
     return res.status(200).json({
       success: true,
-      message: 'Full sync completed successfully',
+      done,
+      message: done ? 'Full sync completed successfully' : 'Chunk synced, call again to continue',
+      run_id: run.id,
+      cursor: run.cursor,
       stats: {
         gameweek: currentGW.name,
-        players_synced: players.length,
+        players_synced: processedPlayers,
+        players_remaining: remaining,
         stats_updated: updatedPlayers,
         errors,
+        failed_rows: upsertResult.failedRows,
         duration_seconds: parseFloat(duration)
-      }
+      },
+      totals: { ...run.counts, errors: run.error_count }
     });
 
   } catch (error) {
     console.error('❌ Full sync failed:', error);
 
+    // The run stays open so the next call retries from the saved cursor
+    if (run) {
+      await updateRun(supabase, run.id, {
+        error_count: (run.error_count || 0) + 1,
+        errors: addErrors(run.errors, [error.message]),
+        duration_ms: (run.duration_ms || 0) + (Date.now() - startTime)
+      }).catch(err => console.warn('  ⚠ Could not record failure on run:', err.message));
+    }
     return res.status(500).json({
       success: false,
+      done: false,
       error: 'Full sync failed',
-      message: error.message
+      message: error.message,
+      run_id: run?.id || null
     });
   }
 }
 
-// Max timeout on Hobby plan is 60 seconds (will timeout, but continues via fire-and-forget)
+// Max timeout on Hobby plan is 60 seconds - each chunk stops after ~45 seconds
 export const config = {
   maxDuration: 60,
 };
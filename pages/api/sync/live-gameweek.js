@@ -12,19 +12,16 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import fetch from 'node-fetch';
+import fpl, { delay } from '../../../lib/fpl-client.js';
+import { mapGameweekStats } from '../../../lib/player-stats.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY // Use service key for write access
 );
 
-const FPL_API_BASE = 'https://fantasy.premierleague.com/api';
 const RATE_LIMIT_DELAY = 100; // milliseconds between requests
 
-// Helper: Delay function for rate limiting
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 export default async function handler(req, res) {
   // Security: Verify cron secret
   const cronSecret = req.headers['x-vercel-cron-secret'];
@@ -96,11 +93,7 @@ export default async function handler(req, res) {
     console.log(`📊 Syncing ${currentGW.name} (ID: ${currentGW.id})...`);
 
     // Step 2: Fetch latest bootstrap-static data
-    const bootstrapResponse = await fetch(`${FPL_API_BASE}/bootstrap-static/`);
-    if (!bootstrapResponse.ok) {
-      throw new Error(`FPL API error: ${bootstrapResponse.status}`);
-    }
-    const bootstrap = await bootstrapResponse.json();
+    const bootstrap = await fpl.getBootstrapStatic();
 
     // Step 3: Update gameweek status
     const currentEvent = bootstrap.events.find(e => e.id === currentGW.id);
@@ -130,11 +123,7 @@ export default async function handler(req, res) {
       await Promise.all(batch.map(async (player) => {
         try {
           // Fetch player's element-summary
-          const summaryResponse = await fetch(`${FPL_API_BASE}/element-summary/${player.id}/`);
-          if (!summaryResponse.ok) {
-            throw new Error(`HTTP ${summaryResponse.status}`);
-          }
-          const summary = await summaryResponse.json();
+          const summary = await fpl.getElementSummary(player.id);
 
           // Get the latest gameweek from history
           const history = summary.history || [];
@@ -144,39 +133,7 @@ export default async function handler(req, res) {
           if (latestGW && latestGW.round === currentGW.id) {
             const { error } = await supabase
               .from('player_gameweek_stats')
-              .upsert({
-                player_id: player.id,
-                gameweek_id: latestGW.round,
-                opponent_team: latestGW.opponent_team,
-                was_home: latestGW.was_home,
-                kickoff_time: latestGW.kickoff_time,
-                total_points: latestGW.total_points,
-                minutes: latestGW.minutes,
-                goals_scored: latestGW.goals_scored,
-                assists: latestGW.assists,
-                clean_sheets: latestGW.clean_sheets,
-                goals_conceded: latestGW.goals_conceded,
-                bonus: latestGW.bonus,
-                bps: latestGW.bps,
-                own_goals: latestGW.own_goals || 0,
-                penalties_saved: latestGW.penalties_saved || 0,
-                penalties_missed: latestGW.penalties_missed || 0,
-                yellow_cards: latestGW.yellow_cards || 0,
-                red_cards: latestGW.red_cards || 0,
-                saves: latestGW.saves || 0,
-                expected_goals: latestGW.expected_goals || 0,
-                expected_assists: latestGW.expected_assists || 0,
-                expected_goal_involvements: latestGW.expected_goal_involvements || 0,
-                expected_goals_conceded: latestGW.expected_goals_conceded || 0,
-                value: latestGW.value,
-                selected: latestGW.selected,
-                transfers_in: latestGW.transfers_in || 0,
-                transfers_out: latestGW.transfers_out || 0,
-                influence: latestGW.influence || 0,
-                creativity: latestGW.creativity || 0,
-                threat: latestGW.threat || 0,
-                ict_index: latestGW.ict_index || 0
-              }, { onConflict: 'player_id,gameweek_id' });
+              .upsert(mapGameweekStats(player.id, latestGW), { onConflict: 'player_id,gameweek_id' });
 
             if (error) {
               console.error(`  ✗ ${player.web_name}:`, error.message);
@@ -0,0 +1,252 @@
+/**
+ * POST /api/sync/live-points
+ *
+ * Polls FPL's live endpoint for a gameweek and stores each player's live
+ * points, with provisional bonus from BPS until FPL confirms it
+ * (see lib/live-points.js), in live_player_points. Changes since the last
+ * poll (goals, assists, cards, bonus, minutes) are appended to live_events for
+ * GET /api/live/stream. Also refreshes the gameweek's fixtures (scores,
+ * minutes, status).
+ *
+ * Called every 5 minutes by .github/workflows/live-sync.yml. Skips cheaply
+ * when no match has started, and once every fixture's bonus is confirmed
+ * and stored.
+ *
+ * Query Parameters:
+ *   - gw: Optional gameweek (defaults to the current gameweek)
+ *   - force: Optional "true" to sync even when there is nothing live
+ *
+ * Security: Protected by ADMIN_TOKEN or CRON_SECRET
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { buildLivePoints, diffLivePoints, fetchLiveGameweek } from '../../../lib/live-points.js';
+import { mapFixture } from '../../../lib/fixtures.js';
+import { getCurrentSeason } from '../../../lib/seasons.js';
+import { fetchAllRows } from '../../../lib/paginate.js';
+import { startSyncRun, finishSyncRun } from '../../../lib/sync-runs.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const UPSERT_BATCH_SIZE = 500;
+
+async function getCurrentGameweek() {
+  const { data, error } = await supabase
+    .from('gameweeks')
+    .select('id')
+    .eq('is_current', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to get current gameweek: ${error.message}`);
+  }
+
+  return data?.id ?? null;
+}
+
+/**
+ * True once this gameweek's rows are stored with no provisional bonus left
+ */
+async function isStoredFinal(gameweek) {
+  const [stored, provisional] = await Promise.all([
+    supabase
+      .from('live_player_points')
+      .select('player_id', { count: 'exact', head: true })
+      .eq('gameweek_id', gameweek),
+    supabase
+      .from('live_player_points')
+      .select('player_id', { count: 'exact', head: true })
+      .eq('gameweek_id', gameweek)
+      .gt('provisional_bonus', 0)
+  ]);
+
+  if (stored.error || provisional.error) {
+    throw new Error(`Failed to check stored live points: ${(stored.error || provisional.error).message}`);
+  }
+
+  return stored.count > 0 && provisional.count === 0;
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Security check
+  const authHeader = req.headers.authorization;
+  const cronSecret = req.headers['x-vercel-cron-secret'];
+
+  const isAuthorized =
+    authHeader === `Bearer ${process.env.ADMIN_TOKEN}` ||
+    cronSecret === process.env.CRON_SECRET;
+
+  if (!isAuthorized) {
+    console.error('❌ Unauthorized live points sync attempt');
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const requestedGW = req.query.gw !== undefined ? parseInt(req.query.gw) : null;
+  if (req.query.gw !== undefined && (isNaN(requestedGW) || requestedGW < 1 || requestedGW > 38)) {
+    return res.status(400).json({
+      success: false,
+      error: 'gw must be between 1 and 38'
+    });
+  }
+  const force = req.query.force === 'true';
+
+  const startTime = Date.now();
+  let run = null;
+
+  try {
+    const gameweek = requestedGW ?? await getCurrentGameweek();
+    if (!gameweek) {
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: 'No current gameweek'
+      });
+    }
+
+    const { live, fixtures, status } = await fetchLiveGameweek(gameweek);
+
+    if (!force && status.started === 0) {
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: `No fixtures started in gameweek ${gameweek}`,
+        gameweek,
+        status
+      });
+    }
+
+    if (!force && status.awaiting_bonus === 0 && await isStoredFinal(gameweek)) {
+      return res.status(200).json({
+        success: true,
+        skipped: true,
+        reason: `Gameweek ${gameweek} is finished and its confirmed points are stored`,
+        gameweek,
+        status
+      });
+    }
+
+    console.log(`⚡ Syncing live points for gameweek ${gameweek} (${status.in_progress} in progress, ${status.awaiting_bonus} awaiting bonus)...`);
+    run = await startSyncRun(supabase, 'live-points', req);
+
+    const rows = buildLivePoints(gameweek, live, fixtures);
+
+    // Diff against the last poll before overwriting it
+    const [previousRows, players] = await Promise.all([
+      fetchAllRows(() => supabase
+        .from('live_player_points')
+        .select('player_id, minutes, goals_scored, assists, yellow_cards, red_cards, bonus, provisional_bonus, fixtures, updated_at')
+        .eq('gameweek_id', gameweek)
+        .order('player_id', { ascending: true })),
+      fetchAllRows(() => supabase
+        .from('players')
+        .select('id, web_name')
+        .order('id', { ascending: true }))
+    ]);
+    const events = diffLivePoints(previousRows, rows, new Map(players.map(p => [p.id, p.web_name])));
+
+    // Events before points: if anything below fails, the stored points still
+    // hold the last poll and the next poll diffs the same changes again. Those
+    // events have the same previous_updated_at, so the ones already stored are
+    // ignored rather than streamed twice.
+    for (let i = 0; i < events.length; i += UPSERT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('live_events')
+        .upsert(events.slice(i, i + UPSERT_BATCH_SIZE), {
+          onConflict: 'gameweek_id,player_id,type,previous_updated_at',
+          ignoreDuplicates: true
+        });
+
+      if (error) {
+        throw new Error(`Failed to store live events: ${error.message}`);
+      }
+    }
+    console.log(`  ✓ Recorded ${events.length} live events`);
+
+    for (let i = 0; i < rows.length; i += UPSERT_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('live_player_points')
+        .upsert(rows.slice(i, i + UPSERT_BATCH_SIZE), { onConflict: 'gameweek_id,player_id' });
+
+      if (error) {
+        throw new Error(`Failed to store live points: ${error.message}`);
+      }
+    }
+    console.log(`  ✓ Stored live points for ${rows.length} players`);
+
+    // Keep scores and match status in the fixtures table live as well
+    const season = await getCurrentSeason(supabase);
+    const { error: fixturesError } = await supabase
+      .from('fixtures')
+      .upsert(fixtures.map(fixture => mapFixture(fixture, season.id)), { onConflict: 'id' });
+
+    if (fixturesError) {
+      throw new Error(`Failed to update fixtures: ${fixturesError.message}`);
+    }
+    console.log(`  ✓ Updated ${fixtures.length} fixtures`);
+
+    const provisionalPlayers = rows.filter(row => row.provisional_bonus > 0).length;
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    await finishSyncRun(supabase, run, {
+      counts: {
+        players: rows.length,
+        fixtures: fixtures.length,
+        events: events.length,
+        provisional_bonus_players: provisionalPlayers
+      }
+    });
+
+    return res.status(200).json({
+      success: true,
+      skipped: false,
+      gameweek,
+      status,
+      stats: {
+        players: rows.length,
+        fixtures: fixtures.length,
+        events: events.length,
+        provisional_bonus_players: provisionalPlayers,
+        duration_seconds: parseFloat(duration)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Live points sync failed:', error);
+    if (run) {
+      await finishSyncRun(supabase, run, { status: 'failed', errors: [error.message] });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Live points sync failed',
+      message: error.message
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 30, // seconds
+};
@@ -2,7 +2,8 @@
  * API Endpoint: /api/sync/players
  *
  * Syncs players table from FPL API bootstrap-static
- * Adds new players (mid-season transfers) and updates existing player info
+ * Adds new players (mid-season transfers) and updates existing player info,
+ * including price and availability (status, chance of playing, news)
  *
  * This should run BEFORE player_gameweek_stats sync to avoid foreign key errors
  *
@@ -12,15 +13,14 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import fetch from 'node-fetch';
+import fpl from '../../../lib/fpl-client.js';
+import { startSyncRun, finishSyncRun } from '../../../lib/sync-runs.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const FPL_API_BASE = 'https://fantasy.premierleague.com/api';
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
@@ -37,23 +37,11 @@ export default async function handler(req, res) {
 
   console.log('👥 Starting players sync...');
   const startTime = Date.now();
+  const run = await startSyncRun(supabase, 'players', req);
 
   try {
-    // Fetch bootstrap-static data (contains all players) with browser-like headers
-    const response = await fetch(`${FPL_API_BASE}/bootstrap-static/`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/json',
-        'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Referer': 'https://fantasy.premierleague.com/',
-        'Origin': 'https://fantasy.premierleague.com'
-      }
-    });
-    if (!response.ok) {
-      throw new Error(`FPL API error: ${response.status}`);
-    }
-    const bootstrap = await response.json();
+    // Fetch bootstrap-static data (contains all players)
+    const bootstrap = await fpl.getBootstrapStatic();
 
     const players = bootstrap.elements;
     console.log(`  → Syncing ${players.length} players...`);
@@ -66,7 +54,12 @@ export default async function handler(req, res) {
       web_name: player.web_name,
       first_name: player.first_name,
       second_name: player.second_name,
-      element_type: player.element_type
+      element_type: player.element_type,
+      // Price (tenths of £m) and availability - used by the transfer planner
+      now_cost: player.now_cost,
+      status: player.status,
+      chance_of_playing_next_round: player.chance_of_playing_next_round,
+      news: player.news || null
     }));
 
     const { error } = await supabase
@@ -115,6 +108,13 @@ export default async function handler(req, res) {
 
     console.log(`✓ Players sync complete in ${duration}s (${players.length} players)`);
 
+    await finishSyncRun(supabase, run, {
+      counts: {
+        total_players: players.length,
+        gameweek_advanced: gameweekAdvanced ? 1 : 0
+      }
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Players synced successfully',
@@ -127,6 +127,7 @@ export default async function handler(req, res) {
 
   } catch (error) {
     console.error('❌ Players sync failed:', error);
+    await finishSyncRun(supabase, run, { status: 'failed', errors: [error.message] });
 
     return res.status(500).json({
       success: false,
@@ -0,0 +1,154 @@
+/**
+ * POST /api/sync/projections
+ *
+ * Calculates expected points for every player and upcoming fixture
+ * (see lib/projections.js) and stores them in player_projections
+ *
+ * Run after /api/fdr/calculate so opponent strength is current
+ *
+ * Query Parameters:
+ *   - horizon: Optional number of gameweeks to project (default: 6)
+ *
+ * Security: Protected by ADMIN_TOKEN or CRON_SECRET
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { resolveGameweekWindow } from '../../../lib/fdr-ticker.js';
+import { calculateProjections, DEFAULT_PROJECTION_HORIZON } from '../../../lib/projections.js';
+import { startSyncRun, finishSyncRun } from '../../../lib/sync-runs.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const UPSERT_BATCH_SIZE = 500;
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Security check
+  const authHeader = req.headers.authorization;
+  const cronSecret = req.headers['x-vercel-cron-secret'];
+
+  const isAuthorized =
+    authHeader === `Bearer ${process.env.ADMIN_TOKEN}` ||
+    cronSecret === process.env.CRON_SECRET;
+
+  if (!isAuthorized) {
+    console.error('❌ Unauthorized projections sync attempt');
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  const horizon = req.query.horizon !== undefined ? parseInt(req.query.horizon) : DEFAULT_PROJECTION_HORIZON;
+  if (isNaN(horizon) || horizon < 1 || horizon > 38) {
+    return res.status(400).json({
+      success: false,
+      error: 'horizon must be an integer between 1 and 38'
+    });
+  }
+
+  console.log('🔮 Starting projections sync...');
+  const startTime = Date.now();
+  const run = await startSyncRun(supabase, 'projections', req);
+  const errorMessages = [];
+
+  try {
+    const window = await resolveGameweekWindow(supabase, { horizon });
+    console.log(`  → Projecting GW ${window.from}-${window.to}...`);
+
+    const projections = await calculateProjections(supabase, window);
+    console.log(`  ✓ Projected ${projections.players_projected} players across ${projections.fixtures} fixtures (history GW ${projections.history.from}-${projections.history.to})`);
+
+    let upserted = 0;
+    for (let i = 0; i < projections.rows.length; i += UPSERT_BATCH_SIZE) {
+      const batch = projections.rows.slice(i, i + UPSERT_BATCH_SIZE);
+      const { error } = await supabase
+        .from('player_projections')
+        .upsert(batch, { onConflict: 'player_id,fixture_id' });
+
+      if (error) {
+        console.error(`  ✗ Projection batch ${i / UPSERT_BATCH_SIZE + 1} failed: ${error.message}`);
+        errorMessages.push(`Batch ${i / UPSERT_BATCH_SIZE + 1}: ${error.message}`);
+      } else {
+        upserted += batch.length;
+      }
+    }
+
+    // Drop rows in the window from earlier runs (rescheduled fixtures, players who left)
+    if (errorMessages.length === 0) {
+      const { error: cleanupError } = await supabase
+        .from('player_projections')
+        .delete()
+        .gte('gameweek_id', window.from)
+        .lte('gameweek_id', window.to)
+        .lt('calculated_at', projections.calculated_at);
+
+      if (cleanupError) {
+        console.warn('  ⚠ Failed to remove stale projections:', cleanupError.message);
+        errorMessages.push(`Cleanup: ${cleanupError.message}`);
+      }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✓ Projections sync complete in ${duration}s (${upserted} rows)`);
+
+    const counts = {
+      gameweek_from: window.from,
+      gameweek_to: window.to,
+      players_projected: projections.players_projected,
+      fixtures: projections.fixtures,
+      rows_upserted: upserted
+    };
+
+    await finishSyncRun(supabase, run, {
+      status: upserted === 0 && projections.rows.length > 0 ? 'failed' : 'completed',
+      counts,
+      errors: errorMessages
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Projections calculated',
+      stats: {
+        ...counts,
+        history: projections.history,
+        errors: errorMessages.length,
+        duration_seconds: parseFloat(duration)
+      },
+      errors: errorMessages.length > 0 ? errorMessages : undefined
+    });
+
+  } catch (error) {
+    console.error('❌ Projections sync failed:', error);
+    await finishSyncRun(supabase, run, { status: 'failed', errors: [...errorMessages, error.message] });
+
+    return res.status(500).json({
+      success: false,
+      error: 'Projections sync failed',
+      message: error.message
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 60,
+};
@@ -13,17 +13,20 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import fetch from 'node-fetch';
+import fpl, { createFplClient, delay } from '../../../lib/fpl-client.js';
+import { startSyncRun, finishSyncRun } from '../../../lib/sync-runs.js';
+import { mapGameweekStats, createStatsBatcher } from '../../../lib/player-stats.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const FPL_API_BASE = 'https://fantasy.premierleague.com/api';
 const RATE_LIMIT_DELAY = 200; // ms between requests
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// One attempt per player: under maxDuration a throttled player is skipped
+// (the next hourly run picks it up) rather than waited out with backoffs
+const playerClient = createFplClient({ retries: 1 });
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -41,6 +44,7 @@ export default async function handler(req, res) {
 
   console.log('⚡ Starting QUICK stats sync (recent players only)...');
   const startTime = Date.now();
+  const run = await startSyncRun(supabase, 'quick-stats', req);
 
   try {
     // Get current gameweek
@@ -57,20 +61,7 @@ export default async function handler(req, res) {
     console.log(`  → Syncing players for ${currentGW.name} only...`);
 
     // Fetch fixtures to find which players played in current gameweek
-    const fixturesResponse = await fetch(`${FPL_API_BASE}/fixtures/`, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'application/json',
-        'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Referer': 'https://fantasy.premierleague.com/',
-        'Origin': 'https://fantasy.premierleague.com'
-      }
-    });
-    if (!fixturesResponse.ok) {
-      throw new Error(`FPL API error: ${fixturesResponse.status}`);
-    }
-    const fixtures = await fixturesResponse.json();
+    const fixtures = await fpl.getFixtures();
 
     // Current gameweek only — weekly full sync covers historical backfill
     const recentGWs = [currentGW.id];
@@ -104,102 +95,48 @@ export default async function handler(req, res) {
     const playerIds = Array.from(recentPlayerIds).filter(id => !existingPlayerIds.has(id));
     console.log(`  → ${recentPlayerIds.size} players found, ${existingPlayerIds.size} already synced, ${playerIds.length} remaining...`);
 
-    let updatedPlayers = 0;
     let errors = 0;
+    const errorMessages = [];
+    const batcher = createStatsBatcher(supabase);
 
     // Process players sequentially to avoid rate limiting
     for (let i = 0; i < playerIds.length; i++) {
       const playerId = playerIds[i];
       try {
-          // Fetch player's element-summary with browser-like headers
-          const response = await fetch(`${FPL_API_BASE}/element-summary/${playerId}/`, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-              'Accept': 'application/json',
-              'Accept-Language': 'en-GB,en-US;q=0.9,en;q=0.8',
-              'Referer': 'https://fantasy.premierleague.com/'
-            }
-          });
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-          }
-
-          // FPL API sometimes returns HTML (rate limit page) with a 200 status
-          const contentType = response.headers.get('content-type') || '';
-          if (!contentType.includes('application/json')) {
-            console.warn(`  ⚠ Player ${playerId}: Got non-JSON response (${contentType}), skipping`);
-            errors++;
-            await delay(RATE_LIMIT_DELAY * 5); // Back off longer if rate limited
-            continue;
-          }
-
-          const summary = await response.json();
-
-          // Get recent gameweeks from history
-          const history = summary.history || [];
-
-          // Update stats for each recent gameweek
-          for (const gwData of history) {
-            if (recentGWs.includes(gwData.round)) {
-              const { error } = await supabase
-                .from('player_gameweek_stats')
-                .upsert({
-                  player_id: playerId,
-                  gameweek_id: gwData.round,
-                  opponent_team: gwData.opponent_team,
-                  was_home: gwData.was_home,
-                  kickoff_time: gwData.kickoff_time,
-                  total_points: gwData.total_points,
-                  minutes: gwData.minutes,
-                  goals_scored: gwData.goals_scored,
-                  assists: gwData.assists,
-                  clean_sheets: gwData.clean_sheets,
-                  goals_conceded: gwData.goals_conceded,
-                  bonus: gwData.bonus,
-                  bps: gwData.bps,
-                  own_goals: gwData.own_goals || 0,
-                  penalties_saved: gwData.penalties_saved || 0,
-                  penalties_missed: gwData.penalties_missed || 0,
-                  yellow_cards: gwData.yellow_cards || 0,
-                  red_cards: gwData.red_cards || 0,
-                  saves: gwData.saves || 0,
-                  expected_goals: gwData.expected_goals || 0,
-                  expected_assists: gwData.expected_assists || 0,
-                  expected_goal_involvements: gwData.expected_goal_involvements || 0,
-                  expected_goals_conceded: gwData.expected_goals_conceded || 0,
-                  value: gwData.value,
-                  selected: gwData.selected,
-                  transfers_in: gwData.transfers_in || 0,
-                  transfers_out: gwData.transfers_out || 0,
-                  influence: gwData.influence || 0,
-                  creativity: gwData.creativity || 0,
-                  threat: gwData.threat || 0,
-                  ict_index: gwData.ict_index || 0
-                }, { onConflict: 'player_id,gameweek_id' });
-
-              if (error) {
-                console.error(`  ✗ Player ${playerId} GW${gwData.round}:`, error.message);
-                errors++;
-              } else {
-                updatedPlayers++;
-              }
-            }
-          }
+        const summary = await playerClient.getElementSummary(playerId);
+
+        // Queue stats for each recent gameweek - upserted in batches below
+        const history = summary.history || [];
+        batcher.add(
+          history
+            .filter(gwData => recentGWs.includes(gwData.round))
+            .map(gwData => mapGameweekStats(playerId, gwData))
+        );
       } catch (error) {
         console.error(`  ✗ Failed to sync player ${playerId}:`, error.message);
         errors++;
+        errorMessages.push(`Player ${playerId}: ${error.message}`);
       }
 
+      await batcher.flushFull();
+
       // Rate limiting between each player
       await delay(RATE_LIMIT_DELAY);
 
       // Progress log every 50 players
       if ((i + 1) % 50 === 0) {
         const progress = Math.round(((i + 1) / playerIds.length) * 100);
-        console.log(`  ⏳ Progress: ${progress}% (${updatedPlayers} updated, ${errors} errors)`);
+        console.log(`  ⏳ Progress: ${progress}% (${batcher.pendingCount} rows queued, ${errors} errors)`);
       }
     }
 
+    const upsertResult = await batcher.flush();
+    const updatedPlayers = upsertResult.upserted;
+    errors += upsertResult.failedRows.length;
+    errorMessages.push(...upsertResult.failedRows.map(row =>
+      `Player ${row.player_id} GW${row.gameweek_id} (batch ${row.batch}): ${row.error}`
+    ));
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
     console.log(`✓ Quick sync complete in ${duration}s`);
@@ -207,6 +144,16 @@ export default async function handler(req, res) {
     console.log(`  Stats updated: ${updatedPlayers}`);
     console.log(`  Errors: ${errors}`);
 
+    await finishSyncRun(supabase, run, {
+      counts: {
+        gameweek_id: currentGW.id,
+        players_synced: playerIds.length,
+        stats_updated: updatedPlayers
+      },
+      errorCount: errors,
+      errors: errorMessages
+    });
+
     return res.status(200).json({
       success: true,
       message: 'Quick sync completed successfully',
@@ -216,12 +163,14 @@ export default async function handler(req, res) {
         players_synced: playerIds.length,
         stats_updated: updatedPlayers,
         errors,
+        failed_rows: upsertResult.failedRows,
         duration_seconds: parseFloat(duration)
       }
     });
 
   } catch (error) {
     console.error('❌ Quick sync failed:', error);
+    await finishSyncRun(supabase, run, { status: 'failed', errors: [error.message] });
 
     return res.status(500).json({
       success: false,
@@ -0,0 +1,68 @@
+/**
+ * POST /api/sync/rollover
+ *
+ * Plans the rollover to the season bootstrap-static now describes
+ * (see lib/season-rollover.js): what would be archived, promoted/relegated
+ * teams with their seeded FDR, player ID changes and fixtures to load, plus
+ * any interrupted rollover that would be resumed.
+ *
+ * Dry run only - nothing is written. Applying takes longer than a serverless
+ * function may run and a cut-off run would leave the tables half cleared, so
+ * it is done with `node scripts/rollover-season.js --apply`.
+ *
+ * Security: Protected by ADMIN_TOKEN (not cron - run once per season, by hand)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { prepareRollover } from '../../../lib/season-rollover.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  // Security: Verify admin token
+  const authHeader = req.headers.authorization;
+
+  if (authHeader !== `Bearer ${process.env.ADMIN_TOKEN}`) {
+    console.error('❌ Unauthorized rollover attempt');
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+
+  try {
+    const rollover = await prepareRollover(supabase);
+
+    return res.status(200).json({
+      success: true,
+      dry_run: true,
+      plan: rollover.plan,
+      ...(!rollover.plan.up_to_date && {
+        next_step: 'Apply with: node scripts/rollover-season.js --apply'
+      })
+    });
+
+  } catch (error) {
+    console.error('❌ Season rollover plan failed:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Season rollover plan failed',
+      message: error.message
+    });
+  }
+}
+
+export const config = {
+  maxDuration: 30, // seconds
+};
@@ -0,0 +1,194 @@
+/**
+ * GET /api/sync/status
+ *
+ * Returns sync health for the frontend sync panel:
+ * - Latest run of each sync job (from sync_runs) plus its last successful run
+ * - Data freshness for each table the syncs write to
+ *
+ * Public endpoint (read-only, uses anon key - sync_runs needs a select policy for anon)
+ *
+ * Example:
+ *   GET /api/sync/status
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { SYNC_JOBS } from '../../../lib/sync-runs.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+// A job is stale if it hasn't completed successfully within this window.
+// live-points (only while matches are on) and rollover (once a season) have
+// no regular schedule, so they're never stale - just failed or not.
+const STALE_AFTER_MS = {
+  'players': 2 * ONE_HOUR,
+  'fixtures': 2 * ONE_HOUR,
+  'quick-stats': 2 * ONE_HOUR,
+  'full-stats': 8 * 24 * ONE_HOUR,
+  'fpl-difficulty': 2 * ONE_HOUR,
+  'fdr-calculate': 2 * ONE_HOUR,
+  'projections': 2 * ONE_HOUR
+};
+
+const RUN_FIELDS = 'id, job, status, source, counts, error_count, errors, duration_ms, started_at, updated_at, finished_at';
+
+async function getJobStatus(job) {
+  const [latestResult, successResult] = await Promise.all([
+    supabase
+      .from('sync_runs')
+      .select(RUN_FIELDS)
+      .eq('job', job)
+      .order('started_at', { ascending: false })
+      .limit(1),
+    supabase
+      .from('sync_runs')
+      .select('finished_at')
+      .eq('job', job)
+      .eq('status', 'completed')
+      .order('finished_at', { ascending: false })
+      .limit(1)
+  ]);
+
+  if (latestResult.error) {
+    throw new Error(`Failed to fetch ${job} runs: ${latestResult.error.message}`);
+  }
+
+  const latestRun = latestResult.data?.[0] || null;
+  const lastSuccessAt = successResult.data?.[0]?.finished_at || null;
+  const staleAfter = STALE_AFTER_MS[job];
+  const isStale = staleAfter !== undefined &&
+    (!lastSuccessAt || (Date.now() - new Date(lastSuccessAt).getTime()) > staleAfter);
+
+  return {
+    job,
+    latest_run: latestRun,
+    last_success_at: lastSuccessAt,
+    is_stale: isStale
+  };
+}
+
+async function getTableFreshness() {
+  const [teams, fdr, snapshots, stats, players, fixtures, currentGW, projections] = await Promise.all([
+    supabase
+      .from('teams')
+      .select('updated_at')
+      .order('updated_at', { ascending: false })
+      .limit(1),
+    supabase
+      .from('team_fdr_calculations')
+      .select('calculation_timestamp, gameweek_calculated')
+      .order('calculation_timestamp', { ascending: false })
+      .limit(1),
+    supabase
+      .from('fdr_weekly_snapshots')
+      .select('gameweek_id')
+      .order('gameweek_id', { ascending: false })
+      .limit(1),
+    supabase
+      .from('player_gameweek_stats')
+      .select('gameweek_id, kickoff_time')
+      .order('gameweek_id', { ascending: false })
+      .order('kickoff_time', { ascending: false })
+      .limit(1),
+    supabase
+      .from('players')
+      .select('id', { count: 'exact', head: true }),
+    supabase
+      .from('fixtures')
+      .select('updated_at')
+      .order('updated_at', { ascending: false })
+      .limit(1),
+    supabase
+      .from('gameweeks')
+      .select('id, name, finished')
+      .eq('is_current', true)
+      .limit(1),
+    supabase
+      .from('player_projections')
+      .select('calculated_at, gameweek_id')
+      .order('calculated_at', { ascending: false })
+      .order('gameweek_id', { ascending: false })
+      .limit(1)
+  ]);
+
+  return {
+    gameweeks: {
+      current_gameweek: currentGW.data?.[0] || null
+    },
+    teams: {
+      last_updated: teams.data?.[0]?.updated_at || null
+    },
+    players: {
+      row_count: players.count ?? null
+    },
+    fixtures: {
+      last_updated: fixtures.data?.[0]?.updated_at || null
+    },
+    player_gameweek_stats: {
+      latest_gameweek: stats.data?.[0]?.gameweek_id || null,
+      latest_kickoff: stats.data?.[0]?.kickoff_time || null
+    },
+    team_fdr_calculations: {
+      last_updated: fdr.data?.[0]?.calculation_timestamp || null,
+      gameweek_calculated: fdr.data?.[0]?.gameweek_calculated || null
+    },
+    fdr_weekly_snapshots: {
+      latest_gameweek: snapshots.data?.[0]?.gameweek_id || null
+    },
+    player_projections: {
+      last_updated: projections.data?.[0]?.calculated_at || null,
+      latest_gameweek: projections.data?.[0]?.gameweek_id || null
+    }
+  };
+}
+
+export default async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const [jobs, tables] = await Promise.all([
+      Promise.all(SYNC_JOBS.map(getJobStatus)),
+      getTableFreshness()
+    ]);
+
+    const healthy = jobs.every(job =>
+      !job.is_stale && job.latest_run?.status !== 'failed'
+    );
+
+    return res.status(200).json({
+      success: true,
+      healthy,
+      checked_at: new Date().toISOString(),
+      jobs,
+      tables
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch sync status:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sync status',
+      message: error.message
+    });
+  }
+}
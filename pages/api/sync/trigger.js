@@ -1,7 +1,7 @@
 /**
  * API Endpoint: /api/sync/trigger
  *
- * Triggers QUICK data sync (recent players only) + FDR calculation
+ * Triggers QUICK data sync (players, fixtures, recent stats) + FDR calculation + projections
  * Called by GitHub Actions hourly OR manually via admin token
  *
  * For full historical sync, use /api/sync/full-stats (run weekly)
@@ -47,7 +47,8 @@ export default async function handler(req, res) {
     const playersResponse = await fetch(playersUrl, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
+        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
+        'X-Sync-Source': 'trigger'
       }
     });
 
@@ -60,12 +61,32 @@ export default async function handler(req, res) {
       console.log(`✓ Players sync complete (${playersResult.stats?.added || 0} added, ${playersResult.stats?.updated || 0} updated)`);
     }
 
+    // Step 0.5: Sync fixtures table (scores, kickoff times, FPL difficulties)
+    console.log('📅 Syncing fixtures...');
+    const fixturesUrl = `${baseUrl}/api/sync/fixtures`;
+    const fixturesResponse = await fetch(fixturesUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
+        'X-Sync-Source': 'trigger'
+      }
+    });
+
+    const fixturesResult = await fixturesResponse.json();
+
+    if (!fixturesResponse.ok) {
+      console.warn('⚠ Fixtures sync failed:', fixturesResult.message);
+    } else {
+      console.log(`✓ Fixtures sync complete (${fixturesResult.stats?.fixtures_synced || 0} fixtures)`);
+    }
+
     // Step 1: Call the quick-stats sync endpoint (recent players only)
     const syncUrl = `${baseUrl}/api/sync/quick-stats`;
     const syncResponse = await fetch(syncUrl, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
+        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
+        'X-Sync-Source': 'trigger'
       }
     });
 
@@ -83,7 +104,8 @@ export default async function handler(req, res) {
     const fplDiffResponse = await fetch(fplDiffUrl, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
+        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
+        'X-Sync-Source': 'trigger'
       }
     });
 
@@ -101,7 +123,8 @@ export default async function handler(req, res) {
     const fdrResponse = await fetch(fdrUrl, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`
+        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
+        'X-Sync-Source': 'trigger'
       }
     });
 
@@ -113,15 +136,36 @@ export default async function handler(req, res) {
       console.log('✓ FDR calculation complete');
     }
 
+    // Step 4: Recalculate expected points projections (uses the new FDR data)
+    console.log('🔮 Calculating projections...');
+    const projectionsUrl = `${baseUrl}/api/sync/projections`;
+    const projectionsResponse = await fetch(projectionsUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.ADMIN_TOKEN}`,
+        'X-Sync-Source': 'trigger'
+      }
+    });
+
+    const projectionsResult = await projectionsResponse.json();
+
+    if (!projectionsResponse.ok) {
+      console.warn('⚠ Projections calculation failed:', projectionsResult.message);
+    } else {
+      console.log(`✓ Projections complete (${projectionsResult.stats?.players_projected || 0} players)`);
+    }
+
     // Return combined result
     return res.status(200).json({
       success: true,
       triggered: true,
       triggered_at: new Date().toISOString(),
       players_result: playersResult,
+      fixtures_result: fixturesResult,
       sync_result: syncResult,
       fpl_difficulty_result: fplDiffResult,
-      fdr_result: fdrResult
+      fdr_result: fdrResult,
+      projections_result: projectionsResult
     });
 
   } catch (error) {
@@ -0,0 +1,109 @@
+/**
+ * Backtest FDR against actual results
+ *
+ * Compares our custom FDR (fdr_weekly_snapshots) with FPL's official fixture
+ * difficulty on finished gameweeks and prints correlation and calibration
+ * metrics for both. Same logic as GET /api/fdr/backtest.
+ *
+ * Usage:
+ *   node scripts/backtest-fdr.js
+ *   node scripts/backtest-fdr.js --from=5 --to=20
+ *   node scripts/backtest-fdr.js --json
+ *
+ * Environment variables required:
+ *   SUPABASE_URL - Your Supabase project URL
+ *   SUPABASE_SERVICE_KEY - Your Supabase service role key
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { runFdrBacktest } from '../lib/fdr-backtest.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('Error: SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+function parseArgs(argv) {
+  const args = { json: false };
+
+  for (const arg of argv) {
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg.startsWith('--from=')) {
+      args.from = parseInt(arg.split('=')[1]);
+    } else if (arg.startsWith('--to=')) {
+      args.to = parseInt(arg.split('=')[1]);
+    }
+  }
+
+  return args;
+}
+
+const format = (value) => (value === null ? '   n/a' : value.toFixed(3).padStart(6));
+
+function printModel(model) {
+  console.log(`\n📈 ${model.label} (${model.scale})`);
+  console.log('   target          samples  pearson  spearman  easy→hard');
+
+  for (const [target, metrics] of Object.entries(model.targets)) {
+    const change = metrics.easiest_to_hardest_change === null
+      ? 'n/a'
+      : `${metrics.easiest_to_hardest_change > 0 ? '+' : ''}${metrics.easiest_to_hardest_change}`;
+    console.log(`   ${target.padEnd(15)} ${String(metrics.samples).padStart(7)}  ${format(metrics.pearson)}   ${format(metrics.spearman)}  ${change.padStart(9)}`);
+  }
+
+  console.log('   Calibration (difficulty → avg points / goals for / goals against):');
+  model.calibration.forEach(bucket => {
+    console.log(`     ${String(bucket.difficulty).padStart(2)}: ${bucket.avg_points ?? 'n/a'} pts, ${bucket.avg_goals_for} GF, ${bucket.avg_goals_against} GA (${bucket.samples} fixtures)`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if ((args.from !== undefined && isNaN(args.from)) || (args.to !== undefined && isNaN(args.to))) {
+    console.error('Error: --from and --to must be gameweek numbers');
+    process.exit(1);
+  }
+
+  if (!args.json) {
+    console.log('🧪 Backtesting FDR against actual results...');
+  }
+
+  const results = await runFdrBacktest(supabase, { from: args.from ?? 1, to: args.to });
+
+  if (args.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  console.log(`✓ GW ${results.from}-${results.to}: ${results.gameweeks_tested} gameweeks, ${results.samples} team fixtures`);
+  results.skipped_gameweeks.forEach(skip => {
+    console.log(`  ⚠ GW ${skip.gameweek} skipped: ${skip.reason}`);
+  });
+
+  Object.values(results.models).forEach(printModel);
+
+  const { comparison } = results;
+  console.log('\n🏁 Points rank correlation (more negative = better):');
+  console.log(`   Custom: ${comparison.custom}, FPL: ${comparison.fpl}`);
+  console.log(comparison.better === 'custom'
+    ? '   ✅ Custom FDR predicted points better'
+    : comparison.better === 'fpl'
+      ? '   ⚠ FPL difficulty predicted points better'
+      : '   → No clear winner');
+}
+
+main().catch(error => {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,253 @@
+/**
+ * Import Past Seasons to Supabase
+ *
+ * Loads prior seasons into the archive tables, linked to current players by
+ * players.code (see lib/seasons.js):
+ * - player_gameweek_history: per-fixture rows from archived data files laid out
+ *   like the vaastav/Fantasy-Premier-League repository:
+ *     <archive>/<2023-24>/players_raw.csv
+ *     <archive>/<2023-24>/teams.csv
+ *     <archive>/<2023-24>/gws/merged_gw.csv
+ * - player_season_history: season totals from FPL's element-summary `history_past`
+ *   for every current player (FPL only keeps totals for past seasons)
+ *
+ * Seasons missing from the seasons table are created (not current).
+ *
+ * Usage:
+ *   node scripts/import-past-seasons.js --archive=../Fantasy-Premier-League/data --seasons=2022-23,2023-24
+ *   node scripts/import-past-seasons.js --history-past
+ *
+ * Environment variables required:
+ *   SUPABASE_URL - Your Supabase project URL
+ *   SUPABASE_SERVICE_KEY - Your Supabase service role key (not anon key!)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import fpl, { delay } from '../lib/fpl-client.js';
+import { ensureSeason, seasonNameFromSlug, mapArchivedGameweek, mapPastSeason } from '../lib/seasons.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const RATE_LIMIT_DELAY = 100; // milliseconds between element-summary requests
+const BATCH_SIZE = 500;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('Error: SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+function parseArgs(argv) {
+  const args = { seasons: [], historyPast: false };
+
+  for (const arg of argv) {
+    if (arg === '--history-past') {
+      args.historyPast = true;
+    } else if (arg.startsWith('--archive=')) {
+      args.archive = arg.split('=')[1];
+    } else if (arg.startsWith('--seasons=')) {
+      args.seasons = arg.split('=')[1].split(',').map(s => s.trim()).filter(Boolean);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Minimal CSV parser (quoted fields, escaped quotes). Numbers and
+ * True/False are converted; empty fields become null.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const convert = (value) => {
+    if (value === '') return null;
+    if (value === 'True') return true;
+    if (value === 'False') return false;
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  };
+
+  const [header, ...rows] = records.filter(r => r.length > 1 || r[0] !== '');
+  return rows.map(row => Object.fromEntries(header.map((key, i) => [key, convert(row[i] ?? '')])));
+}
+
+async function readCsv(file) {
+  return parseCsv(await readFile(file, 'utf8'));
+}
+
+async function upsertInBatches(table, rows, onConflict) {
+  let upserted = 0;
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE);
+    const { error } = await supabase
+      .from(table)
+      .upsert(batch, { onConflict });
+
+    if (error) {
+      console.error(`  ✗ Failed to upsert batch ${Math.floor(i / BATCH_SIZE) + 1} into ${table}:`, error.message);
+    } else {
+      upserted += batch.length;
+    }
+  }
+
+  return upserted;
+}
+
+/**
+ * Import one archived season's per-fixture history
+ */
+async function importArchivedSeason(archive, slug) {
+  const seasonName = seasonNameFromSlug(slug);
+  console.log(`\n📦 Importing ${seasonName} from ${path.join(archive, slug)}...`);
+
+  const seasonId = await ensureSeason(supabase, seasonName);
+
+  const [playersRaw, teams, gameweeks] = await Promise.all([
+    readCsv(path.join(archive, slug, 'players_raw.csv')),
+    readCsv(path.join(archive, slug, 'teams.csv')),
+    readCsv(path.join(archive, slug, 'gws', 'merged_gw.csv'))
+  ]);
+
+  const teamsById = new Map(teams.map(team => [team.id, team]));
+  const playersById = new Map(playersRaw.map(player => [player.id, {
+    code: player.code,
+    web_name: player.web_name,
+    element_type: player.element_type,
+    team_id: player.team,
+    team_short_name: teamsById.get(player.team)?.short_name ?? null
+  }]));
+
+  const rows = [];
+  let skipped = 0;
+
+  for (const gw of gameweeks) {
+    const player = playersById.get(gw.element);
+    if (!player || !gw.fixture) {
+      skipped++;
+      continue;
+    }
+    rows.push(mapArchivedGameweek(seasonId, gw, player, teamsById.get(gw.opponent_team)));
+  }
+
+  const upserted = await upsertInBatches('player_gameweek_history', rows, 'season_id,player_code,fixture_id');
+
+  console.log(`✓ ${seasonName}: ${upserted}/${rows.length} fixture rows for ${playersById.size} players`);
+  if (skipped > 0) {
+    console.log(`⚠️  Skipped ${skipped} rows with an unknown element or fixture`);
+  }
+}
+
+/**
+ * Import history_past season totals for every current player
+ */
+async function importHistoryPast() {
+  console.log('\n📜 Importing history_past for current players...');
+
+  const bootstrap = await fpl.getBootstrapStatic();
+  const players = bootstrap.elements;
+  console.log(`⏱️  ${players.length} players (~${Math.ceil(players.length * RATE_LIMIT_DELAY / 1000)}s)`);
+
+  const seasonIds = new Map();
+  const rows = [];
+  let errors = 0;
+
+  for (let i = 0; i < players.length; i++) {
+    try {
+      const summary = await fpl.getElementSummary(players[i].id);
+
+      for (const past of summary.history_past || []) {
+        if (!seasonIds.has(past.season_name)) {
+          seasonIds.set(past.season_name, await ensureSeason(supabase, past.season_name));
+        }
+        rows.push(mapPastSeason(seasonIds.get(past.season_name), past));
+      }
+    } catch (error) {
+      console.error(`  ✗ Failed to fetch history_past for ${players[i].web_name}:`, error.message);
+      errors++;
+    }
+
+    if ((i + 1) % 50 === 0 || i === players.length - 1) {
+      console.log(`  ⏳ Progress: ${i + 1}/${players.length} players`);
+    }
+
+    await delay(RATE_LIMIT_DELAY);
+  }
+
+  const upserted = await upsertInBatches('player_season_history', rows, 'season_id,player_code');
+
+  console.log(`✓ Imported ${upserted}/${rows.length} season totals across ${seasonIds.size} seasons`);
+  if (errors > 0) {
+    console.log(`⚠️  ${errors} players failed`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.historyPast && !(args.archive && args.seasons.length > 0)) {
+    console.error('Nothing to import: pass --archive=<dir> --seasons=2023-24[,...] and/or --history-past');
+    process.exit(1);
+  }
+
+  try {
+    for (const slug of args.seasons) {
+      await importArchivedSeason(args.archive, slug);
+    }
+
+    if (args.historyPast) {
+      await importHistoryPast();
+    }
+
+    console.log('\n✅ Import complete');
+  } catch (error) {
+    console.error('\n❌ Import failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
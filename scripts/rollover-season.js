@@ -0,0 +1,102 @@
+/**
+ * Season Rollover
+ *
+ * Moves the database to the season bootstrap-static now describes (see
+ * lib/season-rollover.js). POST /api/sync/rollover only shows the plan -
+ * applying runs here, without the serverless time limit.
+ *
+ * Prints the plan (dry run) unless --apply is passed. If a previous --apply
+ * stopped partway, running it again resumes after the last completed step.
+ *
+ * Usage:
+ *   node scripts/rollover-season.js
+ *   node scripts/rollover-season.js --apply
+ *   node scripts/rollover-season.js --json
+ *
+ * Environment variables required:
+ *   SUPABASE_URL - Your Supabase project URL
+ *   SUPABASE_SERVICE_KEY - Your Supabase service role key (not anon key!)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { prepareRollover, applyRollover } from '../lib/season-rollover.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+  console.error('Error: SUPABASE_URL and SUPABASE_SERVICE_KEY must be set');
+  process.exit(1);
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+function parseArgs(argv) {
+  return {
+    apply: argv.includes('--apply'),
+    json: argv.includes('--json')
+  };
+}
+
+function printPlan(plan) {
+  if (plan.up_to_date) {
+    console.log(`\n✓ ${plan.message}`);
+    return;
+  }
+
+  console.log(`\n📅 ${plan.from_season.name} → ${plan.to_season.name}`);
+  if (plan.resume) {
+    console.log(`\n⏯️  Resuming run ${plan.resume.run_id} (started ${plan.resume.started_at}) - done: ${plan.resume.completed_steps.join(', ') || 'nothing yet'}`);
+  }
+  console.log(`\n📦 Archive: ${plan.archive.rows} gameweek rows (${plan.archive.unmatched_rows} without a matching fixture)`);
+
+  console.log('\n⚽ Teams');
+  console.log(`   Promoted:  ${plan.teams.promoted.map(team => team.short_name).join(', ') || 'none'}`);
+  console.log(`   Relegated: ${plan.teams.relegated.map(team => team.short_name).join(', ') || 'none'}`);
+  console.log('   Seeded FDR (home / away):');
+  plan.teams.seeded_difficulty.forEach(team => {
+    console.log(`     ${team.short_name.padEnd(4)} ${String(team.home_difficulty).padStart(4)} / ${String(team.away_difficulty).padStart(4)}  (${team.source})`);
+  });
+
+  console.log(`\n📆 Gameweeks: ${plan.gameweeks.count} (${plan.gameweeks.first_deadline} → ${plan.gameweeks.last_deadline})`);
+  console.log(`\n👥 Players: ${plan.players.total} (${plan.players.returning} returning, ${plan.players.new} new, ${plan.players.departed} departed, ${plan.players.id_changes.length} with a new ID)`);
+  console.log(`\n🗓️  Fixtures: ${plan.fixtures.removed} removed, ${plan.fixtures.loaded} loaded`);
+  console.log(`\n🧹 Cleared: ${plan.cleared.join(', ')}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const rollover = await prepareRollover(supabase);
+
+    if (args.json) {
+      console.log(JSON.stringify(rollover.plan, null, 2));
+    } else {
+      printPlan(rollover.plan);
+    }
+
+    if (rollover.plan.up_to_date) return;
+
+    if (!args.apply) {
+      console.log('\nDry run - nothing written. Re-run with --apply to roll over.');
+      return;
+    }
+
+    console.log('');
+    await applyRollover(supabase, rollover, { source: 'script' });
+    console.log('\nNext steps:');
+    console.log('1. Run the full stats sync once gameweek 1 is finished');
+    console.log('2. Run /api/fdr/calculate after a few gameweeks to replace the seeded FDR');
+  } catch (error) {
+    console.error('\n❌ Rollover failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
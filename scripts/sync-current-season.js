@@ -17,8 +17,9 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import fpl, { delay } from '../lib/fpl-client.js';
+import { mapGameweekStats, createStatsBatcher } from '../lib/player-stats.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -26,7 +27,6 @@ dotenv.config();
 // Configuration
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const FPL_API_BASE = 'https://fantasy.premierleague.com/api';
 const RATE_LIMIT_DELAY = 100; // milliseconds between requests (10/sec = 100ms)
 
 // Initialize Supabase client with service role key
@@ -38,26 +38,6 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
-// Helper: Delay function for rate limiting
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// Helper: Fetch with retry logic
-async function fetchWithRetry(url, retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      return await response.json();
-    } catch (error) {
-      console.warn(`Fetch attempt ${i + 1} failed for ${url}:`, error.message);
-      if (i === retries - 1) throw error;
-      await delay(1000 * (i + 1)); // Exponential backoff
-    }
-  }
-}
-
 /**
  * Step 1: Get current season ID
  */
@@ -184,74 +164,27 @@ async function syncPlayerGameweekStats(players, currentGW) {
   console.log(`⏱️  This will take a while due to rate limiting (~${Math.ceil(players.length * RATE_LIMIT_DELAY / 1000)}s)`);
 
   let syncedPlayers = 0;
-  let syncedStats = 0;
   let errors = 0;
+  const batcher = createStatsBatcher(supabase);
 
   for (let i = 0; i < players.length; i++) {
     const player = players[i];
 
     try {
       // Fetch player's element-summary (contains history array)
-      const summary = await fetchWithRetry(`${FPL_API_BASE}/element-summary/${player.id}/`);
+      const summary = await fpl.getElementSummary(player.id);
 
-      // Extract history (gameweek-by-gameweek stats)
+      // Extract history (gameweek-by-gameweek stats) and queue for batched upsert
       const history = summary.history || [];
-
-      if (history.length > 0) {
-        // Prepare batch of gameweek stats for this player
-        const statsData = history.map(gw => ({
-          player_id: player.id,
-          gameweek_id: gw.round,
-          opponent_team: gw.opponent_team,
-          was_home: gw.was_home,
-          kickoff_time: gw.kickoff_time,
-          total_points: gw.total_points,
-          minutes: gw.minutes,
-          goals_scored: gw.goals_scored,
-          assists: gw.assists,
-          clean_sheets: gw.clean_sheets,
-          goals_conceded: gw.goals_conceded,
-          bonus: gw.bonus,
-          bps: gw.bps,
-          own_goals: gw.own_goals || 0,
-          penalties_saved: gw.penalties_saved || 0,
-          penalties_missed: gw.penalties_missed || 0,
-          yellow_cards: gw.yellow_cards || 0,
-          red_cards: gw.red_cards || 0,
-          saves: gw.saves || 0,
-          expected_goals: gw.expected_goals || 0,
-          expected_assists: gw.expected_assists || 0,
-          expected_goal_involvements: gw.expected_goal_involvements || 0,
-          expected_goals_conceded: gw.expected_goals_conceded || 0,
-          value: gw.value,
-          selected: gw.selected,
-          transfers_in: gw.transfers_in || 0,
-          transfers_out: gw.transfers_out || 0,
-          influence: gw.influence || 0,
-          creativity: gw.creativity || 0,
-          threat: gw.threat || 0,
-          ict_index: gw.ict_index || 0
-        }));
-
-        // Upsert all gameweek stats for this player
-        const { error } = await supabase
-          .from('player_gameweek_stats')
-          .upsert(statsData, { onConflict: 'player_id,gameweek_id' });
-
-        if (error) {
-          console.error(`  ✗ ${player.web_name}:`, error.message);
-          errors++;
-        } else {
-          syncedStats += statsData.length;
-        }
-      }
+      batcher.add(history.map(gw => mapGameweekStats(player.id, gw)));
+      await batcher.flushFull();
 
       syncedPlayers++;
 
       // Progress indicator every 50 players
       if ((i + 1) % 50 === 0 || i === players.length - 1) {
         const progress = Math.round(((i + 1) / players.length) * 100);
-        console.log(`  ⏳ Progress: ${i + 1}/${players.length} players (${progress}%) - ${syncedStats} stats synced`);
+        console.log(`  ⏳ Progress: ${i + 1}/${players.length} players (${progress}%)`);
       }
 
       // Rate limiting - respect FPL API limits
@@ -263,7 +196,13 @@ async function syncPlayerGameweekStats(players, currentGW) {
     }
   }
 
-  console.log(`✓ Synced stats for ${syncedPlayers} players (${syncedStats} total gameweek records)`);
+  const { upserted: syncedStats, batches, failedRows } = await batcher.flush();
+  failedRows.forEach(row => {
+    console.error(`  ✗ Player ${row.player_id} GW${row.gameweek_id} (batch ${row.batch}):`, row.error);
+  });
+  errors += failedRows.length;
+
+  console.log(`✓ Synced stats for ${syncedPlayers} players (${syncedStats} total gameweek records in ${batches} batches)`);
   if (errors > 0) {
     console.log(`⚠️  ${errors} errors occurred during sync`);
   }
@@ -284,7 +223,7 @@ async function syncCurrentSeason() {
 
     // Step 2: Fetch bootstrap-static from FPL API
     console.log('\n🌐 Fetching data from FPL API...');
-    const bootstrapData = await fetchWithRetry(`${FPL_API_BASE}/bootstrap-static/`);
+    const bootstrapData = await fpl.getBootstrapStatic();
     console.log('✓ Bootstrap data fetched');
 
     // Step 3: Sync teams